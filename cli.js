@@ -0,0 +1,258 @@
+import fs from "fs";
+import { once } from "events";
+import { parseArgs } from "util";
+import csv from "csv-parser";
+import { loadTrechoIndex } from "./src/trecho_index.js";
+import { createGeocoderChain, createProvidersFromConfig } from "./src/geocoder.js";
+import { openGeocodeCache, withGeocodeCache } from "./src/geocode_cache.js";
+import { lookupPoint, resolveCep, resolvePointParams, COORDINATE_GEOCODIFICACAO, DISTANCE_THRESHOLD_METERS } from "./src/lookup.js";
+import { resolveAddress } from "./src/logradouros.js";
+import { presentLookup } from "./src/formato.js";
+import { SERVICE_KEYS } from "./src/servicos.js";
+
+// Offline lookups against infra.db, without the HTTP server:
+//   node cli.js lookup --cep 30140071 | --logradouro "av afonso pena" --numero 1500 | --lat -19.92 --lon -43.93 | --x 611100 --y 7796900
+//   node cli.js enrich entrada.csv [saida.csv]
+// enrich appends one column per service plus the match to every row of a CSV of CEPs, addresses
+// or coordinates. Geocoding uses only the local CEP table unless GEOCODERS says otherwise.
+
+const DB_PATH = process.env.INFRA_DB || new URL("./infra.db", import.meta.url).pathname;
+const GEOCODERS = process.env.GEOCODERS || "local";
+// The cache only keeps online answers, so unlike the server the CLI opens it only with GEOCODE_CACHE=1
+const GEOCODE_CACHE_ENABLED = process.env.GEOCODE_CACHE === "1";
+const GEOCODE_CACHE_PATH = process.env.GEOCODE_CACHE_PATH || new URL("./cache.db", import.meta.url).pathname;
+const GEOCODE_CACHE_TTL_SECONDS = process.env.GEOCODE_CACHE_TTL_SECONDS ? Number(process.env.GEOCODE_CACHE_TTL_SECONDS) : 30 * 24 * 3600;
+const GEOCODE_CACHE_NEGATIVE_TTL_SECONDS = process.env.GEOCODE_CACHE_NEGATIVE_TTL_SECONDS ? Number(process.env.GEOCODE_CACHE_NEGATIVE_TTL_SECONDS) : 24 * 3600;
+const PROGRESS_EVERY_ROWS = 10000;
+
+const USAGE = `usage:
+  node cli.js lookup (--cep <cep> | --logradouro <nome> --numero <n> | --codigo-logradouro <codigo> --numero <n> | --lat <lat> --lon <lon> | --x <x> --y <y>)
+                     [--limiar <m>] [--modo todos] [--raio <m>] [--indice] [--formato maquina]
+  node cli.js enrich <entrada.csv> [saida.csv] [--separador ";"] [--limiar <m>] [--formato maquina] [--bom]
+                     [--coluna-cep <nome>] [--coluna-logradouro <nome>] [--coluna-numero <nome>]
+                     [--coluna-lat <nome>] [--coluna-lon <nome>] [--coluna-x <nome>] [--coluna-y <nome>]
+Without saida.csv the result goes to stdout.`;
+
+const OPTIONS = {
+  cep: { type: "string" },
+  logradouro: { type: "string" },
+  "codigo-logradouro": { type: "string" },
+  numero: { type: "string" },
+  lat: { type: "string" },
+  lon: { type: "string" },
+  x: { type: "string" },
+  y: { type: "string" },
+  limiar: { type: "string" },
+  modo: { type: "string" },
+  raio: { type: "string" },
+  indice: { type: "boolean" },
+  formato: { type: "string" },
+  separador: { type: "string" },
+  bom: { type: "boolean" },
+  "coluna-cep": { type: "string" },
+  "coluna-logradouro": { type: "string" },
+  "coluna-numero": { type: "string" },
+  "coluna-lat": { type: "string" },
+  "coluna-lon": { type: "string" },
+  "coluna-x": { type: "string" },
+  "coluna-y": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Header names tried, after lowercasing and stripping accents, when no --coluna-* is given
+const COLUMN_ALIASES = {
+  cep: ["cep"],
+  logradouro: ["logradouro"],
+  numero: ["numero", "nro"],
+  lat: ["lat", "latitude"],
+  lon: ["lon", "lng", "long", "longitude"],
+  x: ["x", "coord_x", "utm_x"],
+  y: ["y", "coord_y", "utm_y"],
+};
+
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+function foldHeader(name) {
+  return name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toLowerCase();
+}
+
+function parseMeters(raw, name, fallback) {
+  if (raw == null) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) throw usageError(`--${name} deve ser um número positivo de metros`);
+  return value;
+}
+
+function lookupOptions(values) {
+  const limiar = parseMeters(values.limiar, "limiar", DISTANCE_THRESHOLD_METERS);
+  const modo = values.modo || "mais_proximo";
+  if (modo !== "mais_proximo" && modo !== "todos") throw usageError("--modo deve ser 'mais_proximo' ou 'todos'");
+  return { modo, limiar, raio: parseMeters(values.raio, "raio", limiar), indice: !!values.indice };
+}
+
+function presentation(values) {
+  const formato = values.formato || "texto";
+  if (formato !== "texto" && formato !== "maquina") throw usageError("--formato deve ser 'texto' ou 'maquina'");
+  return { formato, idioma: "pt-BR" };
+}
+
+function openGeocoder() {
+  const chain = createGeocoderChain(createProvidersFromConfig(GEOCODERS, { dbPath: DB_PATH }));
+  if (!GEOCODE_CACHE_ENABLED) return chain;
+  const cache = openGeocodeCache({ dbPath: GEOCODE_CACHE_PATH, ttlSeconds: GEOCODE_CACHE_TTL_SECONDS, negativeTtlSeconds: GEOCODE_CACHE_NEGATIVE_TTL_SECONDS });
+  return withGeocodeCache(chain, cache);
+}
+
+// Spreadsheets from pt-BR locales write decimals with a comma
+function decimal(value) {
+  return String(value ?? "").trim().replace(",", ".");
+}
+
+// { cep }, { logradouro, numero } or { lat, lon } / { x, y } into the point lookupPoint expects.
+// Coordinates win, then the address; an address without a number falls back to the CEP when there is one.
+async function resolveInput({ cep, logradouro, codigo, numero, lat, lon, x, y }, geocoder, trechoData) {
+  if (decimal(lat) !== "" || decimal(lon) !== "") {
+    return { cep: null, via: {}, ...resolvePointParams({ lat: decimal(lat), lon: decimal(lon) }), geocodificacao: COORDINATE_GEOCODIFICACAO };
+  }
+  if (decimal(x) !== "" || decimal(y) !== "") {
+    return { cep: null, via: {}, ...resolvePointParams({ x: decimal(x), y: decimal(y) }), geocodificacao: COORDINATE_GEOCODIFICACAO };
+  }
+  const hasCep = String(cep ?? "").trim() !== "";
+  const hasAddress = String(logradouro ?? "").trim() !== "" || String(codigo ?? "").trim() !== "";
+  if (hasAddress && (String(numero ?? "").trim() !== "" || !hasCep)) return resolveAddress(trechoData, { logradouro, codigo, numero });
+  if (hasCep) return resolveCep(geocoder, cep);
+  throw Object.assign(new Error("Linha sem CEP, logradouro nem coordenadas"), { code: "ENTRADA_VAZIA" });
+}
+
+async function runLookup(values) {
+  if ([values.cep, values.logradouro, values["codigo-logradouro"], values.lat, values.lon, values.x, values.y].every(v => v == null)) {
+    throw usageError("informe --cep, --logradouro/--numero, --lat/--lon ou --x/--y");
+  }
+  const options = lookupOptions(values);
+  const fmt = presentation(values);
+  const trechoData = loadTrechoIndex(DB_PATH);
+  const geocoder = openGeocoder();
+  try {
+    const point = await resolveInput({ ...values, codigo: values["codigo-logradouro"] }, geocoder, trechoData);
+    console.log(JSON.stringify(presentLookup(lookupPoint(trechoData, point, options), fmt), null, 2));
+  } finally {
+    geocoder.close();
+  }
+}
+
+function csvField(value, separador) {
+  const text = value == null ? "" : String(value);
+  return text.includes(separador) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// Input column for each of cep/lat/lon/x/y: --coluna-* first, then the aliases
+function mapInputColumns(headers, values) {
+  const columns = {};
+  for (const [campo, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const explicit = values[`coluna-${campo}`];
+    if (explicit != null && !headers.includes(explicit)) throw usageError(`coluna '${explicit}' não existe na entrada`);
+    columns[campo] = explicit ?? headers.find(h => aliases.includes(foldHeader(h)));
+  }
+  const usable = columns.cep || (columns.logradouro && columns.numero) || (columns.lat && columns.lon) || (columns.x && columns.y);
+  if (!usable) throw usageError(`a entrada precisa de uma coluna de CEP, logradouro/numero, lat/lon ou x/y (colunas: ${headers.join(", ")})`);
+  return columns;
+}
+
+// Appended to the input columns, in this order
+const OUTPUT_COLUMNS = ["id_base_trecho", "distancia_m", "encontrado", ...SERVICE_KEYS, "geocodificacao", "erro"];
+
+// Service value for a cell: the disponivel label, or the status code with --formato maquina
+function servicoCell(servico) {
+  return servico.status ?? servico.disponivel;
+}
+
+async function runEnrich(values, [inputPath, outputPath]) {
+  if (!inputPath) throw usageError("informe o arquivo CSV de entrada");
+  if (!fs.existsSync(inputPath)) throw usageError(`arquivo não encontrado: ${inputPath}`);
+  const separador = values.separador || ";";
+  const options = lookupOptions(values);
+  const fmt = presentation(values);
+  const trechoData = loadTrechoIndex(DB_PATH);
+  const geocoder = openGeocoder();
+  const out = outputPath ? fs.createWriteStream(outputPath) : process.stdout;
+  const write = async (fields) => {
+    if (!out.write(fields.map(f => csvField(f, separador)).join(separador) + "\r\n")) await once(out, "drain");
+  };
+
+  const parser = fs.createReadStream(inputPath)
+    .pipe(csv({ separator: separador, mapHeaders: ({ header }) => header.replace(/^\uFEFF/, "").trim() }));
+  let headers = null;
+  parser.once("headers", (h) => { headers = h; });
+
+  const counts = { linhas: 0, encontrados: 0, sem_trecho: 0, erros: 0 };
+  let columns = null;
+  try {
+    if (values.bom) out.write("\uFEFF");
+    for await (const row of parser) {
+      if (!columns) {
+        columns = mapInputColumns(headers, values);
+        await write([...headers, ...OUTPUT_COLUMNS]);
+      }
+      const input = Object.fromEntries(Object.entries(columns).map(([campo, coluna]) => [campo, coluna ? row[coluna] : null]));
+      let result = null;
+      let erro = "";
+      try {
+        result = presentLookup(lookupPoint(trechoData, await resolveInput(input, geocoder, trechoData), options), fmt);
+      } catch (err) {
+        erro = err.code || "ERRO_INTERNO";
+      }
+
+      counts.linhas++;
+      if (erro) counts.erros++;
+      else if (result.match.encontrado) counts.encontrados++;
+      else counts.sem_trecho++;
+
+      const match = result?.match;
+      await write([
+        ...headers.map(h => row[h]),
+        match?.id_base_trecho ?? "",
+        match?.distancia_m ?? "",
+        !match ? "" : fmt.formato === "maquina" ? match.encontrado : (match.encontrado ? "Sim" : "Não"),
+        ...SERVICE_KEYS.map(k => (result ? servicoCell(result.servicos[k]) : "")),
+        match?.geocodificacao?.fonte ?? "",
+        erro,
+      ]);
+      if (counts.linhas % PROGRESS_EVERY_ROWS === 0) console.error(`${counts.linhas} linhas...`);
+    }
+    // Header-only input still gets the output header
+    if (!columns && headers) await write([...headers, ...OUTPUT_COLUMNS]);
+  } finally {
+    geocoder.close();
+    if (outputPath) {
+      out.end();
+      await once(out, "finish");
+    }
+  }
+  console.error(`done ${inputPath}: linhas=${counts.linhas} encontrados=${counts.encontrados} sem_trecho=${counts.sem_trecho} erros=${counts.erros}${outputPath ? ` -> ${outputPath}` : ""}`);
+}
+
+const COMMANDS = { lookup: runLookup, enrich: runEnrich };
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (values.help || !COMMANDS[command]) {
+    console.error(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+  await COMMANDS[command](values, args);
+}
+
+main().catch((err) => {
+  if (err.usage || err.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+    console.error(`${err.message}\n\n${USAGE}`);
+  } else if (err.status) {
+    // lookup errors carry the API's code (CEP_INVALIDO, CEP_NAO_ENCONTRADO, ...)
+    console.error(`${err.code}: ${err.message}`);
+  } else {
+    console.error(err);
+  }
+  process.exit(1);
+});
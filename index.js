@@ -1,329 +1,1109 @@
+import fs from "fs";
 import http from "http";
-import { URL } from "url";
-import fetch from "node-fetch";
-import proj4 from "proj4";
-import Database from "better-sqlite3";
-import Flatbush from "flatbush";
-
-// CRS: SIRGAS2000 / UTM zone 23S (EPSG:31983) → WGS84
-proj4.defs("EPSG:31983","+proj=utm +zone=23 +south +datum=SIRGAS2000 +units=m +no_defs");
-
-const DISTANCE_THRESHOLD_METERS = 50;
-const DB_PATH = new URL("./infra.db", import.meta.url).pathname;
-
-function sanitizeCep(raw) {
-  const digits = String(raw || "").replace(/\D/g, "");
-  return digits.length === 8 ? digits : null;
-}
-
-async function cepToViaCep(cep) {
-  const url = `https://viacep.com.br/ws/${cep}/json/`;
-  const data = await fetch(url).then(r => r.json());
-  if (data.erro) throw Object.assign(new Error("CEP não encontrado"), { status: 404, code: "CEP_NAO_ENCONTRADO" });
-  return data;
-}
-
-async function geocodeFromViaCep(via) {
-  const query = `${via.logradouro || ""}, ${via.localidade || ""}, ${via.uf || ""}, Brasil`;
-  const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=1`;
-  const res = await fetch(url, { headers: { "User-Agent": "bh-infra-api" } }).then(r => r.json());
-  if (!Array.isArray(res) || !res.length) throw Object.assign(new Error("Geocodificação não encontrada"), { status: 404, code: "GEOCODE_NAO_ENCONTRADO" });
-  return [parseFloat(res[0].lon), parseFloat(res[0].lat)];
-}
-
-// Distance helpers
-function pointToSegmentDistance(px, py, x1, y1, x2, y2) {
-  const apx = px - x1;
-  const apy = py - y1;
-  const abx = x2 - x1;
-  const aby = y2 - y1;
-
-  const ab2 = abx * abx + aby * aby;
-  if (ab2 === 0) {
-    const dx = px - x1;
-    const dy = py - y1;
-    return { dist: Math.hypot(dx, dy), cx: x1, cy: y1 };
-  }
-
-  let t = (apx * abx + apy * aby) / ab2;
-  if (t < 0) t = 0; else if (t > 1) t = 1;
-  const cx = x1 + t * abx;
-  const cy = y1 + t * aby;
-  const dx = px - cx;
-  const dy = py - cy;
-  return { dist: Math.hypot(dx, dy), cx, cy };
-}
-
-function pointToLineStringDistance(pointXY, line) {
-  let minDist = Infinity;
-  for (let i = 0; i < line.length - 1; i++) {
-    const [x1, y1] = line[i];
-    const [x2, y2] = line[i + 1];
-    const { dist } = pointToSegmentDistance(pointXY[0], pointXY[1], x1, y1, x2, y2);
-    if (dist < minDist) minDist = dist;
-  }
-  return minDist;
-}
-
-function computeGeometryMinDistance(pointXY, geometry) {
-  if (!geometry) return Infinity;
-  if (geometry.type === "LineString" && Array.isArray(geometry.coordinates)) {
-    const coords = geometry.coordinates.filter(c => Array.isArray(c) && c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]));
-    if (coords.length < 2) return Infinity;
-    return pointToLineStringDistance(pointXY, coords);
-  }
-  if (geometry.type === "MultiLineString" && Array.isArray(geometry.coordinates)) {
-    let best = Infinity;
-    for (const ls of geometry.coordinates) {
-      const coords = (ls || []).filter(c => Array.isArray(c) && c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]));
-      if (coords.length < 2) continue;
-      const d = pointToLineStringDistance(pointXY, coords);
-      if (d < best) best = d;
+import path from "path";
+import { URL, fileURLToPath } from "url";
+import { toUtm, geometryToWgs84, geometryToUtm } from "./src/crs.js";
+import { loadTrechoIndex, loadTrechoIndexInWorker } from "./src/trecho_index.js";
+import { computeGeometryLength, computeGeometryBBox, lengthInsidePolygon, lengthWithinDistance, countSegments, countSamples } from "./src/geometry.js";
+import { FEATURE_LAYERS } from "./src/datasets.js";
+import { computeIndice } from "./src/indice.js";
+import { buildColetaIcs, todayInBh } from "./src/coleta.js";
+import { readColeta, mapIndicatorToDisponivel, buildServicos, INDICATOR_SERVICES } from "./src/servicos.js";
+import {
+  DISTANCE_THRESHOLD_METERS, COORDINATE_GEOCODIFICACAO, findNearestTrecho, findNearestFeatures, resolvePointParams, resolveCep, lookupPoint, roundMeters,
+} from "./src/lookup.js";
+import { withHistoryDb, listSnapshots, trechoHistory, diffSnapshots } from "./src/history.js";
+import { createGeocoderChain, createProvidersFromConfig } from "./src/geocoder.js";
+import { openGeocodeCache, withGeocodeCache } from "./src/geocode_cache.js";
+import { buildOpenApiDocument } from "./src/openapi.js";
+import { isCalendarDate, validateParameters, validateValue, validationError } from "./src/validation.js";
+import { negotiateFormat, formatHeaders, presentLookup, presentProximidades, presentHistorico, presentArea, FORMATOS } from "./src/formato.js";
+import { createMetricsRegistry, METRICS_CONTENT_TYPE } from "./src/metrics.js";
+import { createRateLimiter } from "./src/rate_limit.js";
+import { resolveAddress, searchStreets } from "./src/logradouros.js";
+
+// Bounds for the per-request ?limiar= override
+const MIN_THRESHOLD_METERS = 1;
+const MAX_THRESHOLD_METERS = 200;
+// Upper bound for ?raio= in modo=todos
+const MAX_RADIUS_METERS = 500;
+const BATCH_MAX_ITEMS = process.env.BATCH_MAX_ITEMS ? Number(process.env.BATCH_MAX_ITEMS) : 500;
+const BATCH_CONCURRENCY = process.env.BATCH_CONCURRENCY ? Number(process.env.BATCH_CONCURRENCY) : 4;
+const MAX_BODY_BYTES = 1024 * 1024;
+// Max features returned by GET /trechos?bbox= (override with ?limite=)
+const GEOJSON_DEFAULT_LIMIT = 1000;
+const GEOJSON_MAX_LIMIT = 10000;
+// POST /infra/area: corridor buffer and max segments to examine
+const AREA_MAX_BUFFER_METERS = 500;
+const AREA_MAX_TRECHOS = process.env.AREA_MAX_TRECHOS ? Number(process.env.AREA_MAX_TRECHOS) : 5000;
+// Area coverage runs on the main thread: cap its distance/crossing computations (segment pieces
+// or samples times the area's own segments), so one request cannot stall every client
+const AREA_MAX_CALCULOS = process.env.AREA_MAX_CALCULOS ? Number(process.env.AREA_MAX_CALCULOS) : 2000000;
+// GET /proximidades radius (?raio=) and per-category count (?limite=)
+const PROXIMIDADES_DEFAULT_RADIUS = 500;
+const PROXIMIDADES_MAX_RADIUS = 5000;
+const PROXIMIDADES_DEFAULT_LIMIT = 5;
+const PROXIMIDADES_MAX_LIMIT = 50;
+// GET /logradouros autocomplete: streets per response (?limite=)
+const LOGRADOUROS_DEFAULT_LIMIT = 10;
+const LOGRADOUROS_MAX_LIMIT = 50;
+// Geocoder fallback chain, tried in order. Use GEOCODERS=local for fully offline deployments.
+const GEOCODERS = process.env.GEOCODERS || "local,viacep,nominatim";
+// Base URLs of the online geocoders, for a self-hosted Nominatim or a local stand-in
+const VIACEP_URL = process.env.VIACEP_URL || "https://viacep.com.br";
+const NOMINATIM_URL = process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org";
+// ViaCEP/Nominatim calls: per-attempt timeout, retries for transient failures, circuit breaker
+const UPSTREAM_TIMEOUT_MS = process.env.UPSTREAM_TIMEOUT_MS ? Number(process.env.UPSTREAM_TIMEOUT_MS) : 3000;
+const UPSTREAM_RETRIES = process.env.UPSTREAM_RETRIES ? Number(process.env.UPSTREAM_RETRIES) : 1;
+const UPSTREAM_BREAKER_THRESHOLD = process.env.UPSTREAM_BREAKER_THRESHOLD ? Number(process.env.UPSTREAM_BREAKER_THRESHOLD) : 5;
+const UPSTREAM_BREAKER_COOLDOWN_MS = process.env.UPSTREAM_BREAKER_COOLDOWN_MS ? Number(process.env.UPSTREAM_BREAKER_COOLDOWN_MS) : 30000;
+// Geocoding cache (separate file so ingest does not wipe it). GEOCODE_CACHE=0 disables it.
+const GEOCODE_CACHE_ENABLED = process.env.GEOCODE_CACHE !== "0";
+const GEOCODE_CACHE_PATH = process.env.GEOCODE_CACHE_PATH || new URL("./cache.db", import.meta.url).pathname;
+const GEOCODE_CACHE_TTL_SECONDS = process.env.GEOCODE_CACHE_TTL_SECONDS ? Number(process.env.GEOCODE_CACHE_TTL_SECONDS) : 30 * 24 * 3600;
+const GEOCODE_CACHE_NEGATIVE_TTL_SECONDS = process.env.GEOCODE_CACHE_NEGATIVE_TTL_SECONDS ? Number(process.env.GEOCODE_CACHE_NEGATIVE_TTL_SECONDS) : 24 * 3600;
+// When set, /admin routes require "Authorization: Bearer <ADMIN_TOKEN>"
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// Per-client rate limit (token bucket): RATE_LIMIT_RPS sustained, RATE_LIMIT_BURST at once. RATE_LIMIT_RPS=0 disables it.
+const RATE_LIMIT_RPS = process.env.RATE_LIMIT_RPS ? Number(process.env.RATE_LIMIT_RPS) : 10;
+const RATE_LIMIT_BURST = process.env.RATE_LIMIT_BURST ? Number(process.env.RATE_LIMIT_BURST) : 20;
+// Number of proxies/load balancers in front of the server whose X-Forwarded-For entries are trusted
+const TRUST_PROXY = process.env.TRUST_PROXY ? Number(process.env.TRUST_PROXY) : 0;
+// Requests handled at once before answering 503 SERVIDOR_OCUPADO
+const MAX_CONCURRENT_REQUESTS = process.env.MAX_CONCURRENT_REQUESTS ? Number(process.env.MAX_CONCURRENT_REQUESTS) : 256;
+// Whole-request timeout, and keep-alive longer than the load balancer's idle timeout (60 s on most)
+const REQUEST_TIMEOUT_MS = process.env.REQUEST_TIMEOUT_MS ? Number(process.env.REQUEST_TIMEOUT_MS) : 30000;
+const KEEP_ALIVE_TIMEOUT_MS = process.env.KEEP_ALIVE_TIMEOUT_MS ? Number(process.env.KEEP_ALIVE_TIMEOUT_MS) : 65000;
+// One log line per request (method, path, status, duration, client). LOG_REQUESTS=0 disables it.
+const LOG_REQUESTS = process.env.LOG_REQUESTS !== "0";
+// Poll infra.db for swaps made by ingest and reload in the background. DB_WATCH=0 disables it.
+const DB_WATCH_ENABLED = process.env.DB_WATCH !== "0";
+const DB_WATCH_INTERVAL_MS = process.env.DB_WATCH_INTERVAL_MS ? Number(process.env.DB_WATCH_INTERVAL_MS) : 5000;
+// INFRA_DB: database to serve instead of ./infra.db (e.g. a test fixture)
+const DB_PATH = process.env.INFRA_DB || new URL("./infra.db", import.meta.url).pathname;
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function sendGeoJson(res, payload) {
+  res.writeHead(200, { "Content-Type": "application/geo+json; charset=utf-8" });
+  res.end(JSON.stringify(payload));
+}
+
+// Prometheus metrics served by GET /metrics. `route` is the route template, so unknown
+// paths cannot blow up the number of series.
+const METRICS = createMetricsRegistry();
+const HTTP_REQUESTS = METRICS.counter({ name: "bh_infra_http_requests_total", help: "Requisições HTTP atendidas", labelNames: ["method", "route", "status"] });
+const HTTP_DURATION = METRICS.histogram({ name: "bh_infra_http_request_duration_seconds", help: "Duração das requisições HTTP", labelNames: ["method", "route"] });
+const UPSTREAM_FAILURES = METRICS.counter({ name: "bh_infra_upstream_failures_total", help: "Falhas nas chamadas aos geocodificadores online", labelNames: ["provider", "motivo"] });
+const LOOKUPS = METRICS.counter({ name: "bh_infra_lookups_total", help: "Consultas de endereço por resultado do casamento com trechos", labelNames: ["resultado"] });
+const REQUEST_STATE = { emAndamento: 0 };
+const CIRCUIT_VALUES = { fechado: 0, semiaberto: 1, aberto: 2 };
+METRICS.gauge({ name: "bh_infra_http_requests_in_flight", help: "Requisições em andamento", collect: () => [{ value: REQUEST_STATE.emAndamento }] });
+METRICS.gauge({
+  name: "bh_infra_upstream_circuit_state", help: "Circuito por geocodificador: 0 fechado, 1 semiaberto, 2 aberto", labelNames: ["provider"],
+  collect: () => geocoderCircuits().map(c => ({ labels: { provider: c.nome }, value: CIRCUIT_VALUES[c.estado] })),
+});
+METRICS.gauge({ name: "bh_infra_trechos", help: "Trechos no índice carregado", collect: () => [{ value: TRECHO_DATA.items.length }] });
+METRICS.gauge({
+  name: "bh_infra_dataset_generated_timestamp_seconds", help: "generated_at da base carregada",
+  collect: () => [{ value: Date.parse(TRECHO_DATA.meta.generated_at) / 1000 }],
+});
+METRICS.gauge({ name: "process_resident_memory_bytes", help: "Memória residente do processo", collect: () => [{ value: process.memoryUsage().rss }] });
+METRICS.gauge({ name: "process_start_time_seconds", help: "Início do processo (epoch)", collect: () => [{ value: Math.round(Date.now() / 1000 - process.uptime()) }] });
+
+// Replaced wholesale on reload; handlers read it per request, so in-flight requests
+// finish against the index they started with.
+let TRECHO_DATA = loadTrechoIndex(DB_PATH);
+const GEOCODE_CACHE = GEOCODE_CACHE_ENABLED
+  ? openGeocodeCache({ dbPath: GEOCODE_CACHE_PATH, ttlSeconds: GEOCODE_CACHE_TTL_SECONDS, negativeTtlSeconds: GEOCODE_CACHE_NEGATIVE_TTL_SECONDS })
+  : null;
+const GEOCODER_CHAIN = createGeocoderChain(createProvidersFromConfig(GEOCODERS, {
+  dbPath: DB_PATH,
+  viacepUrl: VIACEP_URL,
+  nominatimUrl: NOMINATIM_URL,
+  upstream: {
+    timeoutMs: UPSTREAM_TIMEOUT_MS,
+    retries: UPSTREAM_RETRIES,
+    breakerThreshold: UPSTREAM_BREAKER_THRESHOLD,
+    breakerCooldownMs: UPSTREAM_BREAKER_COOLDOWN_MS,
+    onFailure: (provider, motivo) => UPSTREAM_FAILURES.inc({ provider, motivo }),
+  },
+}));
+const GEOCODER = GEOCODE_CACHE ? withGeocodeCache(GEOCODER_CHAIN, GEOCODE_CACHE) : GEOCODER_CHAIN;
+
+const RELOAD_STATE = { running: null, pending: false, carregado_em: new Date().toISOString(), ultimo_erro: null };
+
+// Rebuilds the index off the main thread and swaps it in. A failed reload keeps the
+// current index; calls made while a reload runs are coalesced into one more reload.
+function reloadTrechoIndex() {
+  if (RELOAD_STATE.running) {
+    RELOAD_STATE.pending = true;
+    return RELOAD_STATE.running;
+  }
+  RELOAD_STATE.running = (async () => {
+    try {
+      const next = await loadTrechoIndexInWorker(DB_PATH);
+      TRECHO_DATA = next;
+      GEOCODER_CHAIN.reopen();
+      RELOAD_STATE.carregado_em = new Date().toISOString();
+      RELOAD_STATE.ultimo_erro = null;
+      console.log(`trecho index reloaded from ${path.basename(next.arquivo)}: ${next.items.length} trechos`);
+    } catch (err) {
+      RELOAD_STATE.ultimo_erro = err?.message || String(err);
+      console.error("trecho index reload failed, keeping the current index:", err);
+    } finally {
+      RELOAD_STATE.running = null;
+    }
+    if (RELOAD_STATE.pending) {
+      RELOAD_STATE.pending = false;
+      await reloadTrechoIndex();
     }
-    return best;
+  })();
+  return RELOAD_STATE.running;
+}
+
+function datasetStatus() {
+  return {
+    arquivo: path.basename(TRECHO_DATA.arquivo),
+    generated_at: TRECHO_DATA.meta.generated_at || null,
+    trechos: TRECHO_DATA.items.length,
+    carregado_em: RELOAD_STATE.carregado_em,
+    recarregando: !!RELOAD_STATE.running,
+    ultimo_erro: RELOAD_STATE.ultimo_erro,
+  };
+}
+
+function geocoderCircuits() {
+  return GEOCODER_CHAIN.providers.filter(p => p.circuito).map(p => ({ nome: p.name, ...p.circuito() }));
+}
+
+// Load balancer probe: 503 until an index with trechos is loaded; open circuits only degrade,
+// since the local geocoder and coordinate lookups keep working
+function handleHealth(res) {
+  const geocoders = geocoderCircuits();
+  const carregado = TRECHO_DATA.items.length > 0;
+  const status = !carregado ? "indisponivel" : geocoders.some(g => g.estado === "aberto") ? "degradado" : "ok";
+  sendJson(res, carregado ? 200 : 503, { status, indice_carregado: carregado, ...datasetStatus(), geocoders, uptime_s: Math.round(process.uptime()) });
+}
+
+function watchDatabase() {
+  fs.watchFile(DB_PATH, { interval: DB_WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (!curr.ino) return; // missing while being swapped
+    if (curr.ino !== prev.ino || curr.mtimeMs !== prev.mtimeMs) reloadTrechoIndex();
+  });
+}
+
+function parseBoundedNumber(raw, name, min, max) {
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw Object.assign(new Error(`${name} deve estar entre ${min} e ${max} metros`), { status: 400, code: "PARAMETRO_INVALIDO" });
   }
-  return Infinity;
+  return value;
+}
+
+function parseDataReferencia(searchParams) {
+  const raw = (searchParams.get("data_referencia") || "").trim();
+  if (raw === "") return todayInBh();
+  const date = parseSnapshotDate(raw);
+  if (!date) throw Object.assign(new Error("data_referencia deve estar no formato YYYY-MM-DD"), { status: 400, code: "PARAMETRO_INVALIDO" });
+  return date;
+}
+
+// Lookup options from the query string:
+//   modo=mais_proximo (default) | todos
+//   limiar=<meters>  max distance for the nearest segment to count as a match
+//   raio=<meters>    search radius for modo=todos (defaults to limiar)
+//   indice=1         add the infrastructure score block
+//   data_referencia=YYYY-MM-DD  date coleta_seletiva.agenda.proxima_coleta counts from (default: today)
+function parseLookupOptions(searchParams) {
+  const modo = (searchParams.get("modo") || "mais_proximo").trim().toLowerCase();
+  if (modo !== "mais_proximo" && modo !== "todos") {
+    throw Object.assign(new Error("modo deve ser 'mais_proximo' ou 'todos'"), { status: 400, code: "PARAMETRO_INVALIDO" });
+  }
+  const rawLimiar = (searchParams.get("limiar") || "").trim();
+  const limiar = rawLimiar === ""
+    ? DISTANCE_THRESHOLD_METERS
+    : parseBoundedNumber(rawLimiar, "limiar", MIN_THRESHOLD_METERS, MAX_THRESHOLD_METERS);
+  const rawRaio = (searchParams.get("raio") || "").trim();
+  const raio = rawRaio === "" ? limiar : parseBoundedNumber(rawRaio, "raio", 1, MAX_RADIUS_METERS);
+  const indice = ["1", "true", "sim"].includes((searchParams.get("indice") || "").trim().toLowerCase());
+  const dataReferencia = parseDataReferencia(searchParams);
+  return { modo, limiar, raio, indice, dataReferencia };
+}
+
+// Lookups against the current index, counted for /metrics
+function lookupCurrent(point, options) {
+  const payload = lookupPoint(TRECHO_DATA, point, options);
+  LOOKUPS.inc({ resultado: payload.match.encontrado ? "encontrado" : "nao_encontrado" });
+  return payload;
 }
 
-function mapIndicatorToDisponivel(value) {
-  const v = (value || "").toString().trim().toUpperCase();
-  if (v === "S" || v === "SIM" || v === "Y" || v === "1" || v === "TRUE") return "Sim";
-  if (v === "N" || v === "NAO" || v === "NÃO" || v === "0" || v === "FALSE") return "Não";
-  if (v === "") return "não informado";
-  return "não encontrado";
+async function lookupCep(rawCep, options) {
+  return lookupCurrent(await resolveCep(GEOCODER, rawCep), options);
 }
 
-function isNotApplicable(value) {
-  const v = (value || "").toString().trim().toUpperCase();
-  return v === "" || v === "NÃO SE APLICA" || v === "NAO SE APLICA" || v === "N/A" || v === "NA";
+// Street and number, placed on its segment by the numbering: no geocoder involved
+function lookupAddress({ logradouro, codigo_logradouro, numero }, options) {
+  return lookupCurrent(resolveAddress(TRECHO_DATA, { logradouro, codigo: codigo_logradouro, numero }), options);
 }
 
-function mapColetaDisponivel(programacao, turno, nome_distrito, cooperativa_responsavel) {
-  const prog = (programacao || "").toString().trim().toUpperCase();
-  if (prog.includes("SEM COLETA")) return "Não";
-  const hasAnyMeaningful = [programacao, turno, nome_distrito, cooperativa_responsavel].some(v => !isNotApplicable(v));
-  return hasAnyMeaningful ? "Sim" : "não encontrado";
+// Batch item: a CEP string/number, { cep }, { logradouro, numero }, { lat, lon } or { x, y }
+async function lookupBatchItem(item, options) {
+  if (typeof item === "string" || typeof item === "number") return lookupCep(item, options);
+  if (item && typeof item === "object" && !Array.isArray(item)) {
+    if (item.cep != null) return lookupCep(item.cep, options);
+    if (item.logradouro != null || item.codigo_logradouro != null) return lookupAddress(item, options);
+    const { lon, lat, x, y } = resolvePointParams(item);
+    return lookupCurrent({ cep: null, via: {}, lon, lat, x, y, geocodificacao: COORDINATE_GEOCODIFICACAO }, options);
+  }
+  throw Object.assign(new Error("Item deve ser um CEP ou um objeto com cep, logradouro/numero, lat/lon ou x/y"), { status: 400, code: "ITEM_INVALIDO" });
 }
 
-function computeGeometryBBox(geometry) {
-  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-  const consider = (coords) => {
-    for (const c of coords) {
-      if (!Array.isArray(c) || c.length < 2) continue;
-      const x = c[0];
-      const y = c[1];
-      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
-      if (x < minX) minX = x;
-      if (y < minY) minY = y;
-      if (x > maxX) maxX = x;
-      if (y > maxY) maxY = y;
+async function mapWithConcurrency(list, limit, fn) {
+  const results = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      results[i] = await fn(list[i], i);
     }
   };
-  if (!geometry) return null;
-  if (geometry.type === "LineString") {
-    consider(geometry.coordinates || []);
-  } else if (geometry.type === "MultiLineString") {
-    for (const ls of geometry.coordinates || []) consider(ls || []);
-  } else {
-    return null;
-  }
-  if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) return null;
-  return [minX, minY, maxX, maxY];
-}
-
-function loadTrechoIndex() {
-  const db = new Database(DB_PATH, { readonly: true });
-  const geomStmt = db.prepare(`SELECT id_base_trecho, geojson FROM trecho_geom WHERE geojson IS NOT NULL`);
-  const dataStmt = db.prepare(`SELECT * FROM trecho_data`);
-
-  const dataMap = new Map();
-  for (const d of dataStmt.iterate()) {
-    dataMap.set(d.id_base_trecho, d);
-  }
-
-  const items = [];
-  const bboxes = [];
-  for (const row of geomStmt.iterate()) {
-    let geom;
-    try { geom = JSON.parse(row.geojson); } catch (_) { continue; }
-    const bbox = computeGeometryBBox(geom);
-    if (!bbox) continue;
-    const d = dataMap.get(row.id_base_trecho) || {};
-    items.push({
-      id_base_trecho: row.id_base_trecho,
-      geom,
-      ind_ip: d.ind_ip,
-      ind_mf: d.ind_mf,
-      ind_pav: d.ind_pav,
-      tp_pav: d.tp_pav,
-      data_pav: d.data_pav,
-      ind_rdagu: d.ind_rdagu,
-      data_rdagu: d.data_rdagu,
-      ind_rdesg: d.ind_rdesg,
-      data_rdesg: d.data_rdesg,
-      ind_re: d.ind_re,
-      ind_rt: d.ind_rt,
-      programacao: d.programacao,
-      turno: d.turno,
-      nome_distrito: d.nome_distrito,
-      cooperativa_responsavel: d.cooperativa_responsavel,
+  const workers = [];
+  for (let w = 0; w < Math.max(1, Math.min(limit, list.length)); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+function readJsonBody(req, { maxBytes = MAX_BODY_BYTES } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (tooLarge) return;
+      if (size > maxBytes) {
+        // Stop reading; sendError answers with Connection: close and drops the socket once the 413 is out
+        tooLarge = true;
+        chunks.length = 0;
+        req.pause();
+        reject(Object.assign(new Error("Corpo da requisição excede o limite"), { status: 413, code: "CORPO_EXCEDE_LIMITE", fecharConexao: true }));
+        return;
+      }
+      chunks.push(chunk);
     });
-    bboxes.push(bbox);
+    req.on("end", () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (_) {
+        reject(Object.assign(new Error("Corpo da requisição não é um JSON válido"), { status: 400, code: "JSON_INVALIDO" }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Properties: raw trecho_data indicators plus the derived availability per service (flat, for GIS styling)
+function trechoToFeature(item) {
+  const { geom, ...properties } = item;
+  for (const [key, servico] of Object.entries(buildServicos(item))) properties[key] = servico.disponivel;
+  return { type: "Feature", id: item.id_base_trecho, geometry: geometryToWgs84(geom), properties };
+}
+
+// bbox=minLon,minLat,maxLon,maxLat (WGS84), projected to an EPSG:31983 search box
+function parseBBox(raw) {
+  const parts = String(raw || "").split(",").map(v => v.trim());
+  const nums = parts.map(Number);
+  if (parts.length !== 4 || parts.some(p => p === "") || nums.some(n => !Number.isFinite(n))) return null;
+  const [minLon, minLat, maxLon, maxLat] = nums;
+  if (minLon > maxLon || minLat > maxLat || minLat < -90 || maxLat > 90 || minLon < -180 || maxLon > 180) return null;
+  const corners = [[minLon, minLat], [minLon, maxLat], [maxLon, minLat], [maxLon, maxLat]].map(toUtm);
+  const xs = corners.map(c => c[0]);
+  const ys = corners.map(c => c[1]);
+  if (xs.concat(ys).some(n => !Number.isFinite(n))) return null;
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function handleTrechoById(id, res) {
+  const i = TRECHO_DATA.byId.get(id);
+  if (i === undefined) {
+    sendJson(res, 404, { error: "TRECHO_NAO_ENCONTRADO", message: "Trecho não encontrado" });
+    return;
   }
+  sendGeoJson(res, { type: "FeatureCollection", features: [trechoToFeature(TRECHO_DATA.items[i])] });
+}
 
-  const index = new Flatbush(bboxes.length);
-  for (let i = 0; i < bboxes.length; i++) {
-    const [minX, minY, maxX, maxY] = bboxes[i];
-    index.add(minX, minY, maxX, maxY);
+function handleTrechosByBBox(url, res) {
+  const bbox = parseBBox(url.searchParams.get("bbox"));
+  if (!bbox) {
+    sendJson(res, 400, { error: "BBOX_INVALIDO", message: "Informe bbox=minLon,minLat,maxLon,maxLat em WGS84" });
+    return;
+  }
+  const rawLimite = (url.searchParams.get("limite") || "").trim();
+  const limite = rawLimite === "" ? GEOJSON_DEFAULT_LIMIT : Number(rawLimite);
+  if (!Number.isInteger(limite) || limite < 1 || limite > GEOJSON_MAX_LIMIT) {
+    sendJson(res, 400, { error: "PARAMETRO_INVALIDO", message: `limite deve ser um inteiro entre 1 e ${GEOJSON_MAX_LIMIT}` });
+    return;
   }
-  index.finish();
 
-  try { db.close(); } catch (_) {}
-  return { index, items };
+  const ids = TRECHO_DATA.index.search(...bbox);
+  const features = ids.slice(0, limite).map(i => trechoToFeature(TRECHO_DATA.items[i]));
+  sendGeoJson(res, { type: "FeatureCollection", features, total: ids.length, truncado: ids.length > limite });
+}
+
+// Grouping keys for /estatisticas; add "bairro" here once trechos carry it
+const STATS_GROUPINGS = {
+  distrito: item => item.nome_distrito,
+};
+
+function addToBucket(buckets, key, length) {
+  const bucket = buckets[key] || (buckets[key] = { trechos: 0, extensao_m: 0 });
+  bucket.trechos++;
+  bucket.extensao_m += length;
+}
+
+function roundBuckets(buckets) {
+  for (const bucket of Object.values(buckets)) bucket.extensao_m = Math.round(bucket.extensao_m * 100) / 100;
+  return buckets;
 }
 
-function findNearestTrecho(trechoData, pointXY, { maxRadius = 2000, targetCount = 256 } = {}) {
-  const [x, y] = pointXY;
-  const { index, items } = trechoData;
-  if (!index || !items || !items.length) return { bestDist: Infinity, bestItem: null };
+function computeCoverageStats(trechoData, groupBy) {
+  const groups = new Map();
+  const newGroup = (nome) => ({ nome, trechos: 0, extensao_m: 0, servicos: {}, pavimentacao_por_tipo: {} });
+  const total = newGroup(null);
 
-  let radius = 50;
-  const seen = new Set();
-  const candidates = [];
-  while (radius <= maxRadius && candidates.length < targetCount) {
-    const ids = index.search(x - radius, y - radius, x + radius, y + radius);
-    for (const id of ids) {
-      if (!seen.has(id)) {
-        seen.add(id);
-        candidates.push(id);
+  for (const item of trechoData.items) {
+    const length = computeGeometryLength(item.geom);
+    const nome = (groupBy(item) || "").toString().trim() || "não informado";
+    if (!groups.has(nome)) groups.set(nome, newGroup(nome));
+    const servicos = buildServicos(item);
+    for (const group of [groups.get(nome), total]) {
+      group.trechos++;
+      group.extensao_m += length;
+      for (const [key, servico] of Object.entries(servicos)) {
+        addToBucket(group.servicos[key] || (group.servicos[key] = {}), servico.disponivel, length);
       }
-    }
-    radius *= 2;
-  }
-
-  let bestDist = Infinity;
-  let bestItem = null;
-  for (const id of candidates) {
-    const item = items[id];
-    if (!item) continue;
-    const d = computeGeometryMinDistance(pointXY, item.geom);
-    if (!Number.isFinite(d)) continue;
-    if (d < bestDist) {
-      bestDist = d;
-      bestItem = item;
+      addToBucket(group.pavimentacao_por_tipo, (item.tp_pav || "").toString().trim() || "não informado", length);
     }
   }
-  return { bestDist, bestItem };
-}
-
-function buildSuccessResponse({ cep, via, lon, lat, bestItem, noHit }) {
-  if (noHit) {
-    return {
-      cep,
-      logradouro: via.logradouro || "",
-      bairro: via.bairro || "",
-      latitude: String(lat),
-      longitude: String(lon),
-      servicos: {
-        iluminacao: { disponivel: "não encontrado" },
-        meio_fio: { disponivel: "não encontrado" },
-        pavimentacao: { disponivel: "não encontrado", tipo: "não informado", data_apuracao: null },
-        rede_agua: { disponivel: "não encontrado" },
-        rede_esgoto: { disponivel: "não encontrado" },
-        rede_eletrica: { disponivel: "não encontrado" },
-        telefone: { disponivel: "não encontrado" },
-        coleta_seletiva: { disponivel: "não encontrado", programacao: null, turno: null, distritos: null, cooperativa_responsavel: null },
-      },
-    };
-  }
-
-  const iluminacao = { disponivel: mapIndicatorToDisponivel(bestItem.ind_ip) };
-  const meio_fio = { disponivel: mapIndicatorToDisponivel(bestItem.ind_mf) };
-
-  let pavDisponivel;
-  const pavRaw = mapIndicatorToDisponivel(bestItem.ind_pav);
-  if (pavRaw === "Sim" || pavRaw === "Não") {
-    pavDisponivel = pavRaw;
-  } else if ((bestItem.tp_pav || "").toString().trim() !== "") {
-    pavDisponivel = "Sim";
-  } else {
-    pavDisponivel = pavRaw;
-  }
-  const pavimentacao = { disponivel: pavDisponivel, tipo: bestItem.tp_pav || "não informado", data_apuracao: bestItem.data_pav || null };
-
-  const rede_agua = { disponivel: mapIndicatorToDisponivel(bestItem.ind_rdagu) };
-  const rede_esgoto = { disponivel: mapIndicatorToDisponivel(bestItem.ind_rdesg) };
-  const rede_eletrica = { disponivel: mapIndicatorToDisponivel(bestItem.ind_re) };
-  const telefone = { disponivel: mapIndicatorToDisponivel(bestItem.ind_rt) };
-
-  const coleta_seletiva = {
-    disponivel: mapColetaDisponivel(bestItem.programacao, bestItem.turno, bestItem.nome_distrito, bestItem.cooperativa_responsavel),
-    programacao: bestItem.programacao || null,
-    turno: bestItem.turno || null,
-    distritos: bestItem.nome_distrito || null,
-    cooperativa_responsavel: bestItem.cooperativa_responsavel || null,
+
+  const finish = (group) => {
+    group.extensao_m = Math.round(group.extensao_m * 100) / 100;
+    for (const buckets of Object.values(group.servicos)) roundBuckets(buckets);
+    roundBuckets(group.pavimentacao_por_tipo);
+    return group;
   };
+  const grupos = [...groups.values()].map(finish).sort((a, b) => a.nome.localeCompare(b.nome, "pt-BR"));
+  const { nome: _, ...totalSemNome } = finish(total);
+  return { grupos, total: totalSemNome };
+}
+
+const AREA_TYPES = { Polygon: "poligono", MultiPolygon: "poligono", LineString: "corredor", MultiLineString: "corredor" };
 
+// Body: { geometria: GeoJSON Polygon/MultiPolygon or LineString/MultiLineString (WGS84, or a Feature), buffer_m, limite }
+function parseAreaBody(body) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400, code: "AREA_INVALIDA" });
+  const geometria = body.geometria?.type === "Feature" ? body.geometria.geometry : body.geometria;
+  const tipo = AREA_TYPES[geometria?.type];
+  if (!tipo) throw invalid("geometria deve ser um Polygon, MultiPolygon, LineString ou MultiLineString GeoJSON");
+  const buffer = body.buffer_m ?? null;
+  if (tipo === "corredor" && buffer === null) throw invalid("Informe buffer_m (metros) para um corredor");
+  if (!validPositions(geometria.coordinates)) throw invalid("Coordenadas inválidas (use [lon, lat] em WGS84)");
+  const geometry = geometryToUtm(geometria);
+  const bbox = computeGeometryBBox(geometry);
+  if (!bbox) throw invalid("geometria sem coordenadas");
+  if (tipo === "poligono" && polygonsOf(geometry).some(rings => rings.some(r => r.length < 4))) {
+    throw invalid("Cada anel do polígono precisa de ao menos 4 posições");
+  }
+  const margin = buffer || 0;
   return {
-    cep,
-    logradouro: via.logradouro || "",
-    bairro: via.bairro || "",
-    latitude: String(lat),
-    longitude: String(lon),
-    servicos: { iluminacao, meio_fio, pavimentacao, rede_agua, rede_esgoto, rede_eletrica, telefone, coleta_seletiva },
+    tipo,
+    buffer,
+    geometry,
+    bbox: [bbox[0] - margin, bbox[1] - margin, bbox[2] + margin, bbox[3] + margin],
+    limite: body.limite ?? GEOJSON_DEFAULT_LIMIT,
   };
 }
 
-function sendJson(res, status, payload) {
-  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
-  res.end(JSON.stringify(payload));
+// Nested GeoJSON coordinates whose positions are all [lon, lat] in range
+function validPositions(coords) {
+  if (!Array.isArray(coords) || !coords.length) return false;
+  if (typeof coords[0] === "number") {
+    const [lon, lat] = coords;
+    return coords.length >= 2 && Number.isFinite(lon) && Number.isFinite(lat) && Math.abs(lon) <= 180 && Math.abs(lat) <= 90;
+  }
+  return coords.every(validPositions);
 }
 
-const TRECHO_DATA = loadTrechoIndex();
+function polygonsOf(geometry) {
+  return geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+}
 
-function startServer() {
-  const server = http.createServer(async (req, res) => {
+// Segments inside the area (or within buffer of the corridor) and the share of their length
+// per service and availability. Only the length inside the area counts.
+function computeAreaCoverage(trechoData, area) {
+  const candidates = trechoData.index.search(...area.bbox);
+  if (candidates.length > AREA_MAX_TRECHOS) {
+    throw Object.assign(new Error(`A área cruza mais de ${AREA_MAX_TRECHOS} trechos; divida a consulta`), { status: 413, code: "AREA_EXCEDE_LIMITE" });
+  }
+  const areaSegments = countSegments(area.geometry);
+  let calculos = 0;
+  for (const i of candidates) {
+    const { geom } = trechoData.items[i];
+    calculos += (area.tipo === "poligono" ? countSegments(geom) : countSamples(geom)) * areaSegments;
+  }
+  if (calculos > AREA_MAX_CALCULOS) {
+    throw Object.assign(new Error("A área é detalhada ou extensa demais para uma consulta; divida-a ou simplifique a geometria"), { status: 413, code: "AREA_EXCEDE_LIMITE" });
+  }
+  const trechos = [];
+  const cobertura = {};
+  let extensaoTotal = 0;
+  for (const i of candidates) {
+    const item = trechoData.items[i];
+    const inside = area.tipo === "poligono"
+      ? lengthInsidePolygon(item.geom, area.geometry)
+      : lengthWithinDistance(item.geom, area.geometry, area.buffer);
+    if (inside < 0.01) continue;
+    const servicos = buildServicos(item);
+    extensaoTotal += inside;
+    for (const [key, servico] of Object.entries(servicos)) addToBucket(cobertura[key] || (cobertura[key] = {}), servico.disponivel, inside);
+    trechos.push({ id_base_trecho: item.id_base_trecho, extensao_m: roundMeters(inside), extensao_trecho_m: roundMeters(computeGeometryLength(item.geom)), servicos });
+  }
+  for (const buckets of Object.values(cobertura)) {
+    for (const bucket of Object.values(buckets)) bucket.percentual = extensaoTotal > 0 ? Math.round((bucket.extensao_m / extensaoTotal) * 10000) / 100 : 0;
+    roundBuckets(buckets);
+  }
+  trechos.sort((a, b) => String(a.id_base_trecho).localeCompare(String(b.id_base_trecho)));
+  return { trechos, cobertura, extensaoTotal };
+}
+
+function handleInfraArea(body, res, fmt) {
+  const area = parseAreaBody(body);
+  const { trechos, cobertura, extensaoTotal } = computeAreaCoverage(TRECHO_DATA, area);
+  sendJson(res, 200, presentArea({
+    area: { tipo: area.tipo, buffer_m: area.buffer },
+    total_trechos: trechos.length,
+    extensao_m: roundMeters(extensaoTotal),
+    cobertura,
+    trechos: trechos.slice(0, area.limite),
+    truncado: trechos.length > area.limite,
+  }, fmt), formatHeaders(fmt));
+}
+
+// Stats only change when the index does, so they are computed once per TRECHO_DATA
+const STATS_CACHE = new WeakMap();
+
+function cachedStats(cacheKey, compute) {
+  let perKey = STATS_CACHE.get(TRECHO_DATA);
+  if (!perKey) STATS_CACHE.set(TRECHO_DATA, perKey = {});
+  if (!perKey[cacheKey]) perKey[cacheKey] = compute(TRECHO_DATA);
+  return perKey[cacheKey];
+}
+
+function parseGrouping(url) {
+  const agrupar = (url.searchParams.get("agrupar") || "distrito").trim().toLowerCase();
+  if (!STATS_GROUPINGS[agrupar]) {
+    throw Object.assign(new Error(`agrupar deve ser um de: ${Object.keys(STATS_GROUPINGS).join(", ")}`), { status: 400, code: "PARAMETRO_INVALIDO" });
+  }
+  return agrupar;
+}
+
+function handleEstatisticas(url, res) {
+  const agrupar = parseGrouping(url);
+  const stats = cachedStats(`cobertura:${agrupar}`, data => computeCoverageStats(data, STATS_GROUPINGS[agrupar]));
+  sendJson(res, 200, { agrupamento: agrupar, ...stats });
+}
+
+// Average score per group, weighted by segment length so a long avenue counts more than an alley
+function computeIndiceRanking(trechoData, groupBy) {
+  const groups = new Map();
+  for (const item of trechoData.items) {
+    const length = computeGeometryLength(item.geom);
+    const nome = (groupBy(item) || "").toString().trim() || "não informado";
+    const group = groups.get(nome) || { nome, trechos: 0, extensao_m: 0, soma: 0 };
+    groups.set(nome, group);
+    group.trechos++;
+    group.extensao_m += length;
+    group.soma += computeIndice(buildServicos(item)).valor * length;
+  }
+  return [...groups.values()]
+    .map(({ nome, trechos, extensao_m, soma }) => ({
+      nome,
+      indice_medio: extensao_m > 0 ? Math.round((soma / extensao_m) * 10) / 10 : null,
+      trechos,
+      extensao_m: Math.round(extensao_m * 100) / 100,
+    }))
+    .sort((a, b) => (b.indice_medio ?? -1) - (a.indice_medio ?? -1) || a.nome.localeCompare(b.nome, "pt-BR"))
+    .map((group, i) => ({ posicao: i + 1, ...group }));
+}
+
+function handleIndiceRanking(url, res) {
+  const agrupar = parseGrouping(url);
+  const ranking = cachedStats(`indice:${agrupar}`, data => computeIndiceRanking(data, STATS_GROUPINGS[agrupar]));
+  sendJson(res, 200, { agrupamento: agrupar, ranking });
+}
+
+function parseSnapshotDate(raw) {
+  const m = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec((raw || "").trim());
+  const date = m && `${m[1]}-${m[2]}-${m[3]}`;
+  return date && isCalendarDate(date) ? date : null;
+}
+
+function handleSnapshots(res) {
+  sendJson(res, 200, { snapshots: withHistoryDb(TRECHO_DATA.arquivo, listSnapshots) });
+}
+
+function handleSnapshotDiff(url, res) {
+  const de = parseSnapshotDate(url.searchParams.get("de"));
+  const para = parseSnapshotDate(url.searchParams.get("para"));
+  if (!de || !para || de >= para) {
+    sendJson(res, 400, { error: "PARAMETRO_INVALIDO", message: "Informe de=YYYY-MM-DD e para=YYYY-MM-DD, com de anterior a para" });
+    return;
+  }
+  const rawLimite = (url.searchParams.get("limite") || "").trim();
+  const limite = rawLimite === "" ? GEOJSON_DEFAULT_LIMIT : Number(rawLimite);
+  if (!Number.isInteger(limite) || limite < 1 || limite > GEOJSON_MAX_LIMIT) {
+    sendJson(res, 400, { error: "PARAMETRO_INVALIDO", message: `limite deve ser um inteiro entre 1 e ${GEOJSON_MAX_LIMIT}` });
+    return;
+  }
+  sendJson(res, 200, withHistoryDb(TRECHO_DATA.arquivo, db => diffSnapshots(db, de, para, { limite })));
+}
+
+function handleTrechoHistory(id, res, fmt) {
+  const campos = withHistoryDb(TRECHO_DATA.arquivo, db => trechoHistory(db, id));
+  if (!Object.keys(campos).length) {
+    sendJson(res, 404, { error: "TRECHO_NAO_ENCONTRADO", message: "Trecho sem histórico" });
+    return;
+  }
+
+  // "When did this street get sewer?": start of the current uninterrupted run of "Sim"
+  const servicos = {};
+  for (const [campo, servico] of Object.entries(INDICATOR_SERVICES)) {
+    const serie = campos[campo];
+    if (!serie) continue;
+    let desde = null;
+    let disponivel = "não encontrado";
+    for (const { data, valor } of serie) {
+      disponivel = valor === null ? "não encontrado" : mapIndicatorToDisponivel(valor);
+      if (disponivel !== "Sim") desde = null;
+      else if (!desde) desde = data;
+    }
+    servicos[servico] = { disponivel, desde };
+  }
+  sendJson(res, 200, presentHistorico({ id_base_trecho: id, servicos, campos }, fmt), formatHeaders(fmt));
+}
+
+function requireAdmin(req) {
+  if (!ADMIN_TOKEN) return;
+  if (req.headers.authorization !== `Bearer ${ADMIN_TOKEN}`) {
+    throw Object.assign(new Error("Acesso administrativo negado"), { status: 401, code: "NAO_AUTORIZADO" });
+  }
+}
+
+// By street and number when logradouro (or codigo_logradouro) is given, by CEP otherwise
+async function handleInfra(url, res, fmt) {
+  const options = parseLookupOptions(url.searchParams);
+  const params = Object.fromEntries(url.searchParams);
+  const payload = (params.logradouro || "").trim() || (params.codigo_logradouro || "").trim()
+    ? lookupAddress(params, options)
+    : await lookupCep(params.cep, options);
+  sendJson(res, 200, presentLookup(payload, fmt), formatHeaders(fmt));
+}
+
+function handleLogradouros(url, res) {
+  const q = url.searchParams.get("q").trim();
+  const rawLimite = (url.searchParams.get("limite") || "").trim();
+  const limite = rawLimite === "" ? LOGRADOUROS_DEFAULT_LIMIT : Number(rawLimite);
+  sendJson(res, 200, { q, ...searchStreets(TRECHO_DATA.logradouros, q, limite) });
+}
+
+// Direct coordinate lookup: no ViaCEP/Nominatim round-trip
+function handleInfraPoint(url, res, fmt) {
+  const options = parseLookupOptions(url.searchParams);
+  const { lon, lat, x, y } = resolvePointParams(Object.fromEntries(url.searchParams));
+  const payload = lookupCurrent({ cep: null, via: {}, lon, lat, x, y, geocodificacao: COORDINATE_GEOCODIFICACAO }, options);
+  sendJson(res, 200, presentLookup(payload, fmt), formatHeaders(fmt));
+}
+
+// Nearby facilities: the `limite` nearest features of each point layer within `raio` meters.
+// Distances are straight-line, not along the street network.
+function parseProximidadesOptions(searchParams) {
+  const rawRaio = (searchParams.get("raio") || "").trim();
+  const raio = rawRaio === "" ? PROXIMIDADES_DEFAULT_RADIUS : parseBoundedNumber(rawRaio, "raio", 1, PROXIMIDADES_MAX_RADIUS);
+  const rawLimite = (searchParams.get("limite") || "").trim();
+  const limite = rawLimite === "" ? PROXIMIDADES_DEFAULT_LIMIT : Number(rawLimite);
+  if (!Number.isInteger(limite) || limite < 1 || limite > PROXIMIDADES_MAX_LIMIT) {
+    throw Object.assign(new Error(`limite deve ser um inteiro entre 1 e ${PROXIMIDADES_MAX_LIMIT}`), { status: 400, code: "PARAMETRO_INVALIDO" });
+  }
+  const pointLayers = FEATURE_LAYERS.filter(l => l.type === "point");
+  const rawCategorias = (searchParams.get("categorias") || "").trim();
+  if (rawCategorias === "") return { raio, limite, layers: pointLayers };
+  const keys = rawCategorias.split(",").map(k => k.trim()).filter(Boolean);
+  const unknown = keys.filter(k => !pointLayers.some(l => l.response.key === k));
+  if (unknown.length) {
+    const known = pointLayers.map(l => l.response.key).join(", ");
+    throw Object.assign(new Error(`Categoria desconhecida: ${unknown.join(", ")} (disponíveis: ${known})`), { status: 400, code: "PARAMETRO_INVALIDO" });
+  }
+  return { raio, limite, layers: pointLayers.filter(l => keys.includes(l.response.key)) };
+}
+
+async function handleProximidades(url, res, fmt) {
+  const { raio, limite, layers } = parseProximidadesOptions(url.searchParams);
+  const point = url.searchParams.has("cep")
+    ? await resolveCep(GEOCODER, url.searchParams.get("cep"))
+    : { cep: null, ...resolvePointParams(Object.fromEntries(url.searchParams)), geocodificacao: COORDINATE_GEOCODIFICACAO };
+  const categorias = {};
+  for (const layer of layers) {
+    categorias[layer.response.key] = findNearestFeatures(TRECHO_DATA.layers[layer.name], [point.x, point.y], limite, raio);
+  }
+  sendJson(res, 200, presentProximidades({
+    cep: point.cep,
+    latitude: String(point.lat),
+    longitude: String(point.lon),
+    raio_m: raio,
+    limite,
+    geocodificacao: point.geocodificacao,
+    categorias,
+  }, fmt), formatHeaders(fmt));
+}
+
+// iCalendar feed of the selective collection on the segment nearest to a CEP or point
+async function handleColetaIcs(url, res) {
+  const { limiar, dataReferencia } = parseLookupOptions(url.searchParams);
+  const point = url.searchParams.has("cep")
+    ? await resolveCep(GEOCODER, url.searchParams.get("cep"))
+    : { cep: null, via: {}, ...resolvePointParams(Object.fromEntries(url.searchParams)) };
+  const { bestDist, bestItem } = findNearestTrecho(TRECHO_DATA, [point.x, point.y]);
+  if (!bestItem || bestDist > limiar) {
+    throw Object.assign(new Error(`Nenhum trecho a menos de ${limiar} m`), { status: 404, code: "TRECHO_NAO_ENCONTRADO" });
+  }
+  const coleta = readColeta(bestItem, dataReferencia);
+  if (!coleta?.agenda) {
+    throw Object.assign(new Error("Sem programação de coleta seletiva para este endereço"), { status: 404, code: "COLETA_INDISPONIVEL" });
+  }
+  const local = [point.via.logradouro, point.via.bairro, point.cep].filter(Boolean).join(", ");
+  const ics = buildColetaIcs({
+    uid: `coleta-${bestItem.id_base_trecho}@bh-infra-api`,
+    programacao: coleta.programacao,
+    turno: coleta.turno,
+    cooperativa: coleta.cooperativa,
+    local,
+    dataReferencia,
+  });
+  res.writeHead(200, {
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="coleta-${point.cep || bestItem.id_base_trecho}.ics"`,
+  });
+  res.end(ics);
+}
+
+// Each item succeeds or fails on its own; the batch itself only fails on a malformed body
+async function handleInfraBatch(url, body, res, fmt) {
+  const options = parseLookupOptions(url.searchParams);
+  if (!Array.isArray(body) || !body.length) {
+    sendJson(res, 400, { error: "LOTE_INVALIDO", message: "Envie um array JSON não vazio de CEPs e/ou coordenadas" });
+    return;
+  }
+  if (body.length > BATCH_MAX_ITEMS) {
+    sendJson(res, 413, { error: "LOTE_EXCEDE_LIMITE", message: `O lote aceita no máximo ${BATCH_MAX_ITEMS} itens` });
+    return;
+  }
+
+  const resultados = await mapWithConcurrency(body, BATCH_CONCURRENCY, async (item, indice) => {
     try {
-      const url = new URL(req.url, "http://localhost");
-      if (req.method !== "GET" || url.pathname !== "/infra") {
-        sendJson(res, 404, { error: "ROTA_NAO_ENCONTRADA", message: "Rota não encontrada" });
-        return;
-      }
+      return { indice, status: 200, resultado: presentLookup(await lookupBatchItem(item, options), fmt) };
+    } catch (err) {
+      return { indice, status: err?.status || 500, error: err?.code || "ERRO_INTERNO", message: err?.message || "Erro interno" };
+    }
+  });
 
-      const rawCep = url.searchParams.get("cep");
-      const cep = sanitizeCep(rawCep);
-      if (!cep) {
-        sendJson(res, 400, { error: "CEP_INVALIDO", message: "Informe um CEP válido com 8 dígitos" });
-        return;
-      }
+  const sucesso = resultados.filter(r => r.status === 200).length;
+  sendJson(res, 200, { total: resultados.length, sucesso, erros: resultados.length - sucesso, resultados }, formatHeaders(fmt));
+}
+
+function handleAdminCache(req, res) {
+  requireAdmin(req);
+  sendJson(res, 200, { habilitado: !!GEOCODE_CACHE, ...(GEOCODE_CACHE ? GEOCODE_CACHE.stats() : {}) });
+}
+
+function handleAdminDataset(req, res) {
+  requireAdmin(req);
+  sendJson(res, 200, datasetStatus());
+}
+
+async function handleAdminReload(req, res) {
+  requireAdmin(req);
+  await reloadTrechoIndex();
+  if (RELOAD_STATE.ultimo_erro) {
+    throw Object.assign(new Error(`Falha ao recarregar a base: ${RELOAD_STATE.ultimo_erro}`), { status: 500, code: "RECARGA_FALHOU" });
+  }
+  sendJson(res, 200, datasetStatus());
+}
+
+// Route table: every route is served under /v1 and, for existing clients, without the prefix.
+// Parameters and bodies are OpenAPI objects; requests are validated against them before the
+// handler runs, and /openapi.json is generated from the same table.
+const API_PREFIX = "/v1";
+const API_VERSION = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf8")).version;
+
+const queryParam = (name, description, schema, extra = {}) => ({ name, in: "query", description, schema, ...extra });
+const PARAMS = {
+  cep: queryParam("cep", "CEP com 8 dígitos (pontuação é ignorada)", { type: "string", pattern: "^\\D*(\\d\\D*){8}$", "x-formato": "8 dígitos" }, { "x-codigo-erro": "CEP_INVALIDO" }),
+  lat: queryParam("lat", "Latitude WGS84 em graus decimais", { type: "number", minimum: -90, maximum: 90 }, { "x-codigo-erro": "COORDENADAS_INVALIDAS" }),
+  lon: queryParam("lon", "Longitude WGS84 em graus decimais", { type: "number", minimum: -180, maximum: 180 }, { "x-codigo-erro": "COORDENADAS_INVALIDAS" }),
+  x: queryParam("x", "Coordenada X em metros (EPSG:31983)", { type: "number" }, { "x-codigo-erro": "COORDENADAS_INVALIDAS" }),
+  y: queryParam("y", "Coordenada Y em metros (EPSG:31983)", { type: "number" }, { "x-codigo-erro": "COORDENADAS_INVALIDAS" }),
+  modo: queryParam("modo", "mais_proximo: só o trecho mais próximo; todos: também os trechos dentro de raio", { type: "string", enum: ["mais_proximo", "todos"] }),
+  limiar: queryParam("limiar", "Distância máxima (m) para o trecho mais próximo contar como encontrado", { type: "number", minimum: MIN_THRESHOLD_METERS, maximum: MAX_THRESHOLD_METERS, default: DISTANCE_THRESHOLD_METERS }),
+  raio: queryParam("raio", "Raio de busca (m) com modo=todos; padrão: limiar", { type: "number", minimum: 1, maximum: MAX_RADIUS_METERS }),
+  indice: queryParam("indice", "Inclui o bloco indice (0-100)", { type: "boolean" }),
+  logradouro: queryParam("logradouro", "Nome do logradouro, com ou sem tipo (\"Av. Afonso Pena\" ou \"afonso pena\"); exige numero", { type: "string" }),
+  codigo_logradouro: queryParam("codigo_logradouro", "Código do logradouro (ver /logradouros), no lugar do nome", { type: "string" }),
+  numero: queryParam("numero", "Número do imóvel no logradouro", { type: "integer", minimum: 1 }),
+  data_referencia: queryParam("data_referencia", "Data a partir da qual proxima_coleta é calculada; padrão: hoje", { type: "string", format: "date" }),
+};
+const POINT_PARAMS = [PARAMS.lat, PARAMS.lon, PARAMS.x, PARAMS.y];
+// Presentation: formato=maquina or Accept: application/vnd.bh-infra.maquina+json; Accept-Language for labels
+const FORMAT_PARAMS = [
+  queryParam("formato", "texto: rótulos em português (padrão); maquina: códigos, booleanos e datas ISO-8601", { type: "string", enum: FORMATOS }),
+  { name: "Accept-Language", in: "header", description: "Idioma dos rótulos no formato texto: pt-BR (padrão), en, es", schema: { type: "string" } },
+];
+const LOOKUP_PARAMS = [PARAMS.modo, PARAMS.limiar, PARAMS.raio, PARAMS.indice, PARAMS.data_referencia, ...FORMAT_PARAMS];
+const LIMITE_PARAM = queryParam("limite", "Máximo de itens na resposta", { type: "integer", minimum: 1, maximum: GEOJSON_MAX_LIMIT, default: GEOJSON_DEFAULT_LIMIT });
+const AGRUPAR_PARAM = queryParam("agrupar", "Agrupamento", { type: "string", enum: Object.keys(STATS_GROUPINGS), default: "distrito" });
+const ID_PARAM = { name: "id", in: "path", required: true, description: "id_base_trecho", schema: { type: "string" } };
+
+const ROUTES = [
+  {
+    method: "GET", path: "/infra", operationId: "consultarInfraPorCep", tags: ["infra"],
+    summary: "Serviços de infraestrutura do trecho de um CEP ou de um logradouro e número",
+    parameters: [PARAMS.cep, PARAMS.logradouro, PARAMS.codigo_logradouro, PARAMS.numero, ...LOOKUP_PARAMS],
+    response: { schema: "InfraResposta", machineSchema: "InfraRespostaMaquina" },
+    errors: { 404: "CEP, endereço, logradouro ou número não encontrado", 502: "Falha no geocodificador" },
+    handler: ({ url, res, fmt }) => handleInfra(url, res, fmt),
+  },
+  {
+    method: "GET", path: "/infra/point", operationId: "consultarInfraPorCoordenada", tags: ["infra"],
+    summary: "Serviços de infraestrutura a partir de lat/lon (WGS84) ou x/y (EPSG:31983)",
+    parameters: [...POINT_PARAMS, ...LOOKUP_PARAMS],
+    response: { schema: "InfraResposta", machineSchema: "InfraRespostaMaquina" },
+    handler: ({ url, res, fmt }) => handleInfraPoint(url, res, fmt),
+  },
+  {
+    method: "POST", path: "/infra/batch", operationId: "consultarInfraEmLote", tags: ["infra"],
+    summary: "Consulta em lote de CEPs e/ou coordenadas",
+    parameters: LOOKUP_PARAMS,
+    requestBody: {
+      errorCode: "LOTE_INVALIDO",
+      schema: {
+        type: "array",
+        minItems: 1,
+        description: `Até ${BATCH_MAX_ITEMS} itens: CEP (string ou número), { cep }, { logradouro, numero }, { lat, lon } ou { x, y }. Itens inválidos falham individualmente.`,
+        items: {},
+      },
+    },
+    response: { schema: "LoteResposta", machineSchema: "LoteRespostaMaquina" },
+    errors: { 413: "Lote ou corpo acima do limite" },
+    handler: ({ url, body, res, fmt }) => handleInfraBatch(url, body, res, fmt),
+  },
+  {
+    method: "POST", path: "/infra/area", operationId: "consultarInfraPorArea", tags: ["infra"],
+    summary: "Cobertura de serviços dentro de um polígono ou ao longo de um corredor",
+    parameters: FORMAT_PARAMS,
+    requestBody: {
+      errorCode: "AREA_INVALIDA",
+      schema: {
+        type: "object",
+        required: ["geometria"],
+        properties: {
+          geometria: {
+            type: "object",
+            required: ["type"],
+            description: "GeoJSON em WGS84: Polygon/MultiPolygon, ou LineString/MultiLineString com buffer_m (um Feature também é aceito)",
+            properties: { type: { type: "string", enum: ["Polygon", "MultiPolygon", "LineString", "MultiLineString", "Feature"] } },
+          },
+          buffer_m: { type: "number", minimum: 1, maximum: AREA_MAX_BUFFER_METERS, description: "Largura de cada lado do corredor, em metros" },
+          limite: { type: "integer", minimum: 1, maximum: GEOJSON_MAX_LIMIT, description: `Máximo de trechos listados (padrão ${GEOJSON_DEFAULT_LIMIT}); a cobertura considera todos` },
+        },
+      },
+    },
+    response: { schema: "AreaResposta", machineSchema: "AreaRespostaMaquina" },
+    errors: { 413: `A área cruza mais de ${AREA_MAX_TRECHOS} trechos ou exige cálculo demais` },
+    handler: ({ body, res, fmt }) => handleInfraArea(body, res, fmt),
+  },
+  {
+    method: "GET", path: "/proximidades", operationId: "listarProximidades", tags: ["infra"],
+    summary: "Equipamentos mais próximos de cada categoria dentro de um raio",
+    parameters: [
+      PARAMS.cep, ...POINT_PARAMS,
+      queryParam("raio", "Raio em metros", { type: "number", minimum: 1, maximum: PROXIMIDADES_MAX_RADIUS, default: PROXIMIDADES_DEFAULT_RADIUS }),
+      queryParam("limite", "Máximo por categoria", { type: "integer", minimum: 1, maximum: PROXIMIDADES_MAX_LIMIT, default: PROXIMIDADES_DEFAULT_LIMIT }),
+      queryParam("categorias", "Categorias separadas por vírgula; padrão: todas", { type: "string" }),
+      ...FORMAT_PARAMS,
+    ],
+    response: { schema: "Proximidades", machineSchema: "ProximidadesMaquina" },
+    errors: { 404: "CEP ou endereço não encontrado", 502: "Falha no geocodificador" },
+    handler: ({ url, res, fmt }) => handleProximidades(url, res, fmt),
+  },
+  {
+    method: "GET", path: "/coleta", operationId: "calendarioColeta", tags: ["infra"],
+    summary: "Calendário iCalendar da coleta seletiva",
+    parameters: [PARAMS.cep, ...POINT_PARAMS, PARAMS.limiar, PARAMS.data_referencia],
+    response: { schema: { type: "string" }, contentType: "text/calendar" },
+    errors: { 404: "Sem trecho próximo ou sem coleta seletiva", 502: "Falha no geocodificador" },
+    handler: ({ url, res }) => handleColetaIcs(url, res),
+  },
+  {
+    method: "GET", path: "/logradouros", operationId: "buscarLogradouros", tags: ["logradouros"],
+    summary: "Autocompletar logradouros pelo início das palavras do nome",
+    parameters: [
+      queryParam("q", "Início do nome; sem distinção de acentos e caixa, tipo abreviado aceito (av, r, pca)", { type: "string", minLength: 2 }, { required: true }),
+      queryParam("limite", "Máximo de logradouros", { type: "integer", minimum: 1, maximum: LOGRADOUROS_MAX_LIMIT, default: LOGRADOUROS_DEFAULT_LIMIT }),
+    ],
+    response: { schema: "Logradouros" },
+    handler: ({ url, res }) => handleLogradouros(url, res),
+  },
+  {
+    method: "GET", path: "/trechos", operationId: "listarTrechosPorBBox", tags: ["trechos"],
+    summary: "Trechos que cruzam um bbox, como GeoJSON",
+    parameters: [
+      queryParam("bbox", "minLon,minLat,maxLon,maxLat em WGS84", { type: "string" }, { required: true, "x-codigo-erro": "BBOX_INVALIDO" }),
+      LIMITE_PARAM,
+    ],
+    response: { schema: "FeatureCollection", contentType: "application/geo+json" },
+    handler: ({ url, res }) => handleTrechosByBBox(url, res),
+  },
+  {
+    method: "GET", path: "/trechos/{id}/historico", operationId: "historicoTrecho", tags: ["historico"],
+    summary: "Histórico de um trecho nos snapshots",
+    parameters: [ID_PARAM, ...FORMAT_PARAMS],
+    response: { schema: "HistoricoTrecho", machineSchema: "HistoricoTrechoMaquina" },
+    errors: { 404: "Trecho sem histórico" },
+    handler: ({ params, res, fmt }) => handleTrechoHistory(params.id, res, fmt),
+  },
+  {
+    method: "GET", path: "/trechos/{id}", operationId: "obterTrecho", tags: ["trechos"],
+    summary: "Um trecho como GeoJSON",
+    parameters: [ID_PARAM],
+    response: { schema: "FeatureCollection", contentType: "application/geo+json" },
+    errors: { 404: "Trecho não encontrado" },
+    handler: ({ params, res }) => handleTrechoById(params.id, res),
+  },
+  {
+    method: "GET", path: "/snapshots", operationId: "listarSnapshots", tags: ["historico"],
+    summary: "Snapshots ingeridos",
+    parameters: [],
+    response: { schema: "Snapshots" },
+    handler: ({ res }) => handleSnapshots(res),
+  },
+  {
+    method: "GET", path: "/snapshots/diff", operationId: "compararSnapshots", tags: ["historico"],
+    summary: "Trechos adicionados, removidos ou alterados entre dois snapshots",
+    parameters: [
+      queryParam("de", "Snapshot inicial", { type: "string", format: "date" }, { required: true }),
+      queryParam("para", "Snapshot final", { type: "string", format: "date" }, { required: true }),
+      LIMITE_PARAM,
+    ],
+    response: { schema: "SnapshotDiff" },
+    handler: ({ url, res }) => handleSnapshotDiff(url, res),
+  },
+  {
+    method: "GET", path: "/estatisticas", operationId: "estatisticasCobertura", tags: ["estatisticas"],
+    summary: "Cobertura de serviços por distrito",
+    parameters: [AGRUPAR_PARAM],
+    response: { schema: "Estatisticas" },
+    handler: ({ url, res }) => handleEstatisticas(url, res),
+  },
+  {
+    method: "GET", path: "/estatisticas/indice", operationId: "rankingIndice", tags: ["estatisticas"],
+    summary: "Ranking de distritos pelo índice médio",
+    parameters: [AGRUPAR_PARAM],
+    response: { schema: "RankingIndice" },
+    handler: ({ url, res }) => handleIndiceRanking(url, res),
+  },
+  {
+    method: "GET", path: "/admin/cache", operationId: "estatisticasCache", tags: ["admin"], admin: true,
+    summary: "Estatísticas do cache de geocodificação",
+    parameters: [],
+    response: { schema: "CacheStats" },
+    errors: { 401: "Token administrativo ausente ou inválido" },
+    handler: ({ req, res }) => handleAdminCache(req, res),
+  },
+  {
+    method: "GET", path: "/admin/dataset", operationId: "statusDataset", tags: ["admin"], admin: true,
+    summary: "Base carregada e estado da recarga",
+    parameters: [],
+    response: { schema: "StatusDataset" },
+    errors: { 401: "Token administrativo ausente ou inválido" },
+    handler: ({ req, res }) => handleAdminDataset(req, res),
+  },
+  {
+    method: "POST", path: "/admin/reload", operationId: "recarregarDataset", tags: ["admin"], admin: true,
+    summary: "Recarrega a base sem reiniciar o servidor",
+    parameters: [],
+    response: { schema: "StatusDataset" },
+    errors: { 401: "Token administrativo ausente ou inválido" },
+    handler: ({ req, res }) => handleAdminReload(req, res),
+  },
+  {
+    method: "GET", path: "/health", operationId: "saude", tags: ["meta"], operacional: true,
+    summary: "Estado para o balanceador de carga: 503 enquanto não houver índice carregado",
+    parameters: [],
+    response: { schema: "Saude" },
+    handler: ({ res }) => handleHealth(res),
+  },
+  {
+    method: "GET", path: "/metrics", operationId: "metricas", tags: ["meta"], operacional: true,
+    summary: "Métricas no formato de texto do Prometheus",
+    parameters: [],
+    response: { schema: { type: "string" }, contentType: METRICS_CONTENT_TYPE },
+    handler: ({ res }) => {
+      res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+      res.end(METRICS.render());
+    },
+  },
+  {
+    method: "GET", path: "/openapi.json", operationId: "openapi", tags: ["meta"],
+    summary: "Este documento OpenAPI",
+    parameters: [],
+    response: { schema: { type: "object" } },
+    handler: ({ res }) => sendJson(res, 200, OPENAPI_DOCUMENT),
+  },
+];
+
+for (const route of ROUTES) {
+  const pattern = route.path.replace(/[.]/g, "\\.").replace(/\{(\w+)\}/g, "(?<$1>[^/]+)");
+  route.regex = new RegExp(`^(?:${API_PREFIX})?${pattern}$`);
+}
+
+const OPENAPI_DOCUMENT = buildOpenApiDocument(ROUTES, { title: "bh-infra-api", version: API_VERSION, prefix: API_PREFIX });
+
+// { route, params } for the request, or an error (404 unknown path, 405 known path with another method)
+// A malformed escape such as %E0 is the client's mistake, not a 500
+function decodePathParam(name, value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    throw Object.assign(new Error(`${name} com codificação inválida`), { status: 400, code: "PARAMETRO_INVALIDO" });
+  }
+}
+
+function matchRoute(method, pathname) {
+  const allowed = [];
+  for (const route of ROUTES) {
+    const m = route.regex.exec(pathname);
+    if (!m) continue;
+    if (route.method === method) {
+      const params = Object.fromEntries(Object.entries(m.groups || {}).map(([k, v]) => [k, decodePathParam(k, v)]));
+      return { route, params };
+    }
+    allowed.push(route.method);
+  }
+  if (allowed.length) {
+    throw Object.assign(new Error(`Método ${method} não permitido; use ${allowed.join(", ")}`), { status: 405, code: "METODO_NAO_PERMITIDO", allow: allowed });
+  }
+  throw Object.assign(new Error("Rota não encontrada"), { status: 404, code: "ROTA_NAO_ENCONTRADA" });
+}
+
+const RATE_LIMITER = RATE_LIMIT_RPS > 0 ? createRateLimiter({ ratePerSecond: RATE_LIMIT_RPS, burst: Math.max(1, RATE_LIMIT_BURST) }) : null;
+
+// Client address for rate limiting and logs. Each trusted proxy appends the address it saw
+// to X-Forwarded-For, so the client is the TRUST_PROXY-th entry from the right.
+function clientAddress(req) {
+  const direct = req.socket.remoteAddress || "";
+  if (!TRUST_PROXY) return direct;
+  const hops = String(req.headers["x-forwarded-for"] || "").split(",").map(h => h.trim()).filter(Boolean);
+  return hops[hops.length - TRUST_PROXY] || hops[0] || direct;
+}
 
-      const via = await cepToViaCep(cep);
+// Operational routes (/health, /metrics) skip the rate limit and the concurrency cap
+// Checked before the request itself is counted, so at most MAX_CONCURRENT_REQUESTS run at once
+function admitRequest(req, res, route) {
+  if (!route.operacional) admitLookup(req);
+  REQUEST_STATE.emAndamento++;
+  res.on("close", () => { REQUEST_STATE.emAndamento--; });
+}
+
+function admitLookup(req) {
+  if (REQUEST_STATE.emAndamento >= MAX_CONCURRENT_REQUESTS) {
+    throw Object.assign(new Error("Servidor ocupado; tente novamente em instantes"), { status: 503, code: "SERVIDOR_OCUPADO", retryAfter: 1 });
+  }
+  const limite = RATE_LIMITER?.take(clientAddress(req));
+  if (limite && !limite.permitido) {
+    throw Object.assign(new Error("Limite de requisições excedido"), { status: 429, code: "LIMITE_EXCEDIDO", retryAfter: limite.retryAfter });
+  }
+}
 
-      const [lon, lat] = await geocodeFromViaCep(via);
-      if (!Number.isFinite(lon) || !Number.isFinite(lat)) throw new Error("Coordenadas inválidas");
+// meta.route is set once the route is known, for metrics and logs
+async function dispatch(req, res, meta = {}) {
+  const url = new URL(req.url, "http://localhost");
+  const { route, params } = matchRoute(req.method, url.pathname);
+  meta.route = route;
+  admitRequest(req, res, route);
+  const erros = validateParameters(route.parameters, { searchParams: url.searchParams, pathParams: params, headers: req.headers });
+  if (erros.length) throw validationError(erros);
+  let body;
+  if (route.requestBody) {
+    body = await readJsonBody(req);
+    const bodyErros = validateValue(route.requestBody.schema, body, "corpo");
+    if (bodyErros.length) throw validationError(bodyErros, route.requestBody.errorCode);
+  }
+  await route.handler({ req, res, url, params, body, fmt: negotiateFormat(url.searchParams, req.headers) });
+}
 
-      const [x, y] = proj4("EPSG:4326", "EPSG:31983", [lon, lat]);
-      if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error("Falha na transformação de coordenadas");
+// Every error answers with the same envelope: { error: CODIGO, message, detalhes? }
+function sendError(res, err) {
+  const status = err?.status || 500;
+  const payload = { error: err?.code || "ERRO_INTERNO", message: err?.message || "Erro interno" };
+  if (err?.detalhes) payload.detalhes = err.detalhes;
+  if (err?.allow) res.setHeader("Allow", err.allow.join(", "));
+  if (err?.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+  if (err?.fecharConexao) {
+    res.setHeader("Connection", "close");
+    res.on("finish", () => res.req.socket.destroy());
+  }
+  if (status >= 500 && !err?.code) console.error(err);
+  sendJson(res, status, payload);
+}
 
-      const { bestDist, bestItem } = findNearestTrecho(TRECHO_DATA, [x, y]);
-      const noHit = !bestItem || bestDist > DISTANCE_THRESHOLD_METERS;
+function recordRequest(req, res, route, seconds) {
+  const labels = { method: req.method, route: route ? route.path : "desconhecida" };
+  HTTP_REQUESTS.inc({ ...labels, status: res.statusCode });
+  HTTP_DURATION.observe(labels, seconds);
+  if (LOG_REQUESTS && !route?.operacional) {
+    const status = res.writableFinished ? res.statusCode : `${res.statusCode} interrompida`;
+    console.log(`${req.method} ${req.url} ${status} ${Math.round(seconds * 1000)}ms ${clientAddress(req)}`);
+  }
+}
 
-      const payload = buildSuccessResponse({ cep, via, lon, lat, bestItem, noHit });
-      sendJson(res, 200, payload);
+export function startServer() {
+  const server = http.createServer(async (req, res) => {
+    const inicio = process.hrtime.bigint();
+    const meta = { route: null };
+    res.on("close", () => {
+      recordRequest(req, res, meta.route, Number(process.hrtime.bigint() - inicio) / 1e9);
+    });
+    try {
+      await dispatch(req, res, meta);
     } catch (err) {
-      const status = err?.status || 500;
-      const code = err?.code || "ERRO_INTERNO";
-      sendJson(res, status, { error: code, message: err?.message || "Erro interno" });
+      if (!res.headersSent) sendError(res, err);
+      else res.destroy(err);
     }
   });
+  server.requestTimeout = REQUEST_TIMEOUT_MS;
+  server.keepAliveTimeout = KEEP_ALIVE_TIMEOUT_MS;
 
   const PORT = process.env.PORT ? Number(process.env.PORT) : 3002;
   server.listen(PORT, () => {
-    console.log(`bh-infra-api listening on port ${PORT}`);
+    console.log(`bh-infra-api listening on port ${server.address().port}`);
   });
+  if (DB_WATCH_ENABLED) watchDatabase();
   return server;
 }
 
-startServer();
-
-
+// Listen only when run as the entry point (node index.js); the lookup core lives in src/lookup.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) startServer();
@@ -3,24 +3,33 @@ import path from "path";
 import csv from "csv-parser";
 import Database from "better-sqlite3";
 import { wktToGeoJSON } from "@terraformer/wkt";
+import {
+  createFileStats, recordRow, recordMissingId, recordError, recordGeometry, recordIndicator, recordDataValues,
+  recordInvalidDate, finishFileStats, collectDataWithoutGeometry, buildQualityReport, writeQualityTable,
+} from "./src/ingest_quality.js";
+import { DATASETS, matchDatasetFile, trechoDataColumns, statusColumns, buildUpsertSql, normalizeDateValue } from "./src/datasets.js";
 
 const DATA_DIR = path.resolve("data");
 const DB_PATH = path.resolve("infra.db");
+// Number of versioned infra-*.db files kept next to infra.db (the active one is never removed)
+const KEEP_VERSIONS = process.env.INGEST_KEEP_VERSIONS ? Number(process.env.INGEST_KEEP_VERSIONS) : 3;
 
-// Input files
-const FILES = [
-  { file: "20250801_trecho_ilum_publica.csv" },
-  { file: "20250801_trecho_meio_fio.csv" },
-  { file: "20250801_trecho_pavimentacao.csv" },
-  { file: "20250801_trecho_rede_agua.csv" },
-  { file: "20250801_trecho_rede_eletrica.csv" },
-  { file: "20250801_trecho_rede_esgoto.csv" },
-  { file: "20250801_trecho_rede_telefonica.csv" },
-  { file: "20250801_coleta_seletiva_porta_porta.csv" },
-];
-
-// Schema: one row per trecho in trecho_data (id_base_trecho as PK)
-// Geometry is kept in a separate table keyed by id_base_trecho as well
+// Quality report: written as JSON to REPORT_PATH and to the quality_report table.
+// In strict mode (INGEST_STRICT=1 or --strict) the run fails, and infra.db is left
+// untouched, when any check exceeds INGEST_MAX_ERROR_RATIO of a file's rows.
+const REPORT_PATH = path.resolve(process.env.INGEST_REPORT_PATH || "ingest_report.json");
+const STRICT = process.env.INGEST_STRICT === "1" || process.argv.includes("--strict");
+const MAX_ERROR_RATIO = process.env.INGEST_MAX_ERROR_RATIO ? Number(process.env.INGEST_MAX_ERROR_RATIO) : 0.01;
+
+// Rebuild trecho_historico from the files in data/ instead of carrying it over from the active infra.db
+const REBUILD_HISTORY = process.env.INGEST_REBUILD_HISTORY === "1";
+
+// Optional local CEP table (CEP;LOGRADOURO;BAIRRO;LOCALIDADE;UF;LATITUDE;LONGITUDE),
+// used by the offline "local" geocoder provider
+const CEP_FILE = { file: "ceps.csv" };
+
+// Schema: one row per trecho in trecho_data (id_base_trecho as PK), one column per
+// registry column (datasets.json). Geometry is kept in a separate table keyed by id_base_trecho as well
 const CREATE_SQL = `
 CREATE TABLE IF NOT EXISTS trecho_geom (
   id_base_trecho TEXT PRIMARY KEY,
@@ -28,20 +37,42 @@ CREATE TABLE IF NOT EXISTS trecho_geom (
 );
 CREATE TABLE IF NOT EXISTS trecho_data (
   id_base_trecho TEXT PRIMARY KEY,
-  ind_ip TEXT,
-  ind_mf TEXT,
-  ind_pav TEXT,
-  tp_pav TEXT,
-  data_pav TEXT,
-  ind_rdagu TEXT,
-  ind_rdesg TEXT,
-  ind_re TEXT,
-  ind_rt TEXT,
-  programacao TEXT,
-  turno TEXT,
-  nome_distrito TEXT,
-  cooperativa_responsavel TEXT
+${trechoDataColumns().map(c => `  ${c} TEXT`).join(",\n")}
+);
+-- One row per dated snapshot (YYYY-MM-DD) taken into account
+CREATE TABLE IF NOT EXISTS snapshot (
+  data TEXT PRIMARY KEY,
+  arquivos TEXT,
+  ingested_at TEXT
+);
+-- Change log: a row only when a field differs from its previous snapshot.
+-- valor NULL means the cell is empty or the trecho is no longer listed in that dataset.
+CREATE TABLE IF NOT EXISTS trecho_historico (
+  id_base_trecho TEXT NOT NULL,
+  campo TEXT NOT NULL,
+  snapshot_data TEXT NOT NULL,
+  valor TEXT,
+  PRIMARY KEY (id_base_trecho, campo, snapshot_data)
+);
+CREATE INDEX IF NOT EXISTS idx_trecho_historico_snapshot ON trecho_historico (snapshot_data);
+-- Zone and point layers (datasets.json type "zone"/"point"), geometry in EPSG:31983
+CREATE TABLE IF NOT EXISTS feature (
+  camada TEXT NOT NULL,
+  id TEXT NOT NULL,
+  geojson TEXT,
+  props TEXT,
+  PRIMARY KEY (camada, id)
 );
+CREATE TABLE IF NOT EXISTS cep (
+  cep TEXT PRIMARY KEY,
+  logradouro TEXT,
+  bairro TEXT,
+  localidade TEXT,
+  uf TEXT,
+  lat REAL,
+  lon REAL
+);
+CREATE INDEX IF NOT EXISTS idx_cep_logradouro ON cep (logradouro COLLATE NOCASE, localidade COLLATE NOCASE);
 `;
 
 function normalizeKey(key) {
@@ -61,82 +92,135 @@ function parseGeometryWktToGeoJSON(wkt) {
   }
 }
 
-async function ingestFile(db, { file }) {
+function parseDecimal(value) {
+  const v = normalizeKey(value).replace(",", ".");
+  if (v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function ingestFeatureFile(db, { file, dataset }, stats) {
+  const filePath = path.join(DATA_DIR, file);
+  const upsertFeature = db.prepare(`
+    INSERT INTO feature (camada, id, geojson, props)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(camada, id) DO UPDATE SET geojson=excluded.geojson, props=excluded.props
+  `);
+
+  const batch = [];
+  let processed = 0;
+  let skipped = 0;
+
+  const flush = db.transaction(() => {
+    for (const params of batch.splice(0)) upsertFeature.run(...params);
+  });
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv({ separator: ";" }))
+      .on("data", (row) => {
+        recordRow(stats);
+        let id = "";
+        try {
+          id = normalizeKey(row[dataset.idColumn]);
+          if (!id) { skipped++; recordMissingId(stats); return; }
+
+          const wkt = normalizeKey(row.GEOMETRIA);
+          const geo = parseGeometryWktToGeoJSON(wkt);
+          recordGeometry(stats, id, wkt, geo);
+          // A zone or facility without a location cannot answer any lookup
+          if (!geo) { skipped++; return; }
+
+          const props = {};
+          for (const [prop, column] of Object.entries(dataset.properties)) props[prop] = normalizeKey(row[column]) || null;
+          recordDataValues(stats, id, Object.values(props));
+          batch.push([dataset.name, id, JSON.stringify(geo), JSON.stringify(props)]);
+
+          processed++;
+          if (batch.length >= 1000) flush();
+        } catch (e) {
+          skipped++;
+          recordError(stats, id, e);
+        }
+      })
+      .on("end", () => {
+        if (batch.length) flush();
+        stats.processadas = processed;
+        resolve({ inserted: processed, skipped });
+      })
+      .on("error", reject);
+  });
+}
+
+async function ingestCepFile(db, { file }) {
   const filePath = path.join(DATA_DIR, file);
   if (!fs.existsSync(filePath)) {
     console.warn(`skip: ${file} not found`);
     return { inserted: 0, skipped: 0 };
   }
 
-  const lower = file.toLowerCase();
-  const isIlum = lower.includes("ilum_publica");
-  const isMf = lower.includes("meio_fio");
-  const isPav = lower.includes("pavimentacao");
-  const isAgua = lower.includes("rede_agua");
-  const isEsgoto = lower.includes("rede_esgoto");
-  const isEletrica = lower.includes("rede_eletrica");
-  const isTelefone = lower.includes("rede_telefonica");
-  const isColeta = lower.includes("coleta_seletiva_porta_porta");
+  const upsertCep = db.prepare(`
+    INSERT INTO cep (cep, logradouro, bairro, localidade, uf, lat, lon)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(cep) DO UPDATE SET
+      logradouro=excluded.logradouro,
+      bairro=excluded.bairro,
+      localidade=excluded.localidade,
+      uf=excluded.uf,
+      lat=excluded.lat,
+      lon=excluded.lon
+  `);
+
+  const batch = [];
+  let processed = 0;
+  let skipped = 0;
+
+  const flush = db.transaction(() => {
+    for (const params of batch.splice(0)) upsertCep.run(...params);
+  });
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv({ separator: ";", mapHeaders: ({ header }) => normalizeKey(header).toUpperCase() }))
+      .on("data", (row) => {
+        const cep = normalizeKey(row.CEP).replace(/\D/g, "");
+        if (cep.length !== 8) { skipped++; return; }
+        batch.push([
+          cep,
+          normalizeKey(row.LOGRADOURO),
+          normalizeKey(row.BAIRRO),
+          normalizeKey(row.LOCALIDADE),
+          normalizeKey(row.UF),
+          parseDecimal(row.LATITUDE),
+          parseDecimal(row.LONGITUDE),
+        ]);
+        processed++;
+        if (batch.length >= 1000) flush();
+      })
+      .on("end", () => {
+        if (batch.length) flush();
+        resolve({ inserted: processed, skipped });
+      })
+      .on("error", reject);
+  });
+}
+
+async function ingestFile(db, { file, dataset }, stats) {
+  const filePath = path.join(DATA_DIR, file);
+  if (!fs.existsSync(filePath)) {
+    console.warn(`skip: ${file} not found`);
+    return { inserted: 0, skipped: 0 };
+  }
+
+  const indicatorColumns = dataset.columns.filter(c => c.indicator).map(c => c.source);
+  const mergeRules = dataset.columns.map(c => c.merge);
 
   const upsertGeom = db.prepare(`
     INSERT INTO trecho_geom (id_base_trecho, geojson)
     VALUES (?, ?)
     ON CONFLICT(id_base_trecho) DO UPDATE SET geojson=excluded.geojson
   `);
-
-  const upsertIlum = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, ind_ip)
-    VALUES (?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET ind_ip=excluded.ind_ip
-  `);
-  const upsertMf = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, ind_mf)
-    VALUES (?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET ind_mf=excluded.ind_mf
-  `);
-  const upsertPav = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, ind_pav, tp_pav, data_pav)
-    VALUES (?, ?, ?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET
-      ind_pav = COALESCE(NULLIF(excluded.ind_pav, ''), trecho_data.ind_pav),
-      tp_pav = COALESCE(NULLIF(excluded.tp_pav, ''), trecho_data.tp_pav),
-      data_pav = CASE
-        WHEN COALESCE(NULLIF(excluded.data_pav, ''), '') = '' THEN trecho_data.data_pav
-        WHEN trecho_data.data_pav IS NULL OR trecho_data.data_pav < excluded.data_pav THEN excluded.data_pav
-        ELSE trecho_data.data_pav
-      END
-  `);
-  const upsertAgua = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, ind_rdagu)
-    VALUES (?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET
-      ind_rdagu = COALESCE(NULLIF(excluded.ind_rdagu, ''), trecho_data.ind_rdagu)
-  `);
-  const upsertEsgoto = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, ind_rdesg)
-    VALUES (?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET
-      ind_rdesg = COALESCE(NULLIF(excluded.ind_rdesg, ''), trecho_data.ind_rdesg)
-  `);
-  const upsertEletrica = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, ind_re)
-    VALUES (?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET ind_re=excluded.ind_re
-  `);
-  const upsertTelefone = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, ind_rt)
-    VALUES (?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET ind_rt=excluded.ind_rt
-  `);
-  const upsertColeta = db.prepare(`
-    INSERT INTO trecho_data (id_base_trecho, programacao, turno, nome_distrito, cooperativa_responsavel)
-    VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(id_base_trecho) DO UPDATE SET
-      programacao=excluded.programacao,
-      turno=excluded.turno,
-      nome_distrito=excluded.nome_distrito,
-      cooperativa_responsavel=excluded.cooperativa_responsavel
-  `);
+  const upsertData = db.prepare(buildUpsertSql(dataset));
 
   const geomBatch = [];
   const dataBatch = [];
@@ -145,96 +229,295 @@ async function ingestFile(db, { file }) {
 
   const flush = db.transaction(() => {
     for (const [id, geojson] of geomBatch.splice(0)) upsertGeom.run(id, geojson);
-    for (const { type, params } of dataBatch.splice(0)) {
-      switch (type) {
-        case "ilum": upsertIlum.run(...params); break;
-        case "mf": upsertMf.run(...params); break;
-        case "pav": upsertPav.run(...params); break;
-        case "agua": upsertAgua.run(...params); break;
-        case "esgoto": upsertEsgoto.run(...params); break;
-        case "eletrica": upsertEletrica.run(...params); break;
-        case "telefone": upsertTelefone.run(...params); break;
-        case "coleta": upsertColeta.run(...params); break;
-      }
-    }
+    for (const params of dataBatch.splice(0)) upsertData.run(...params);
   });
 
   return new Promise((resolve, reject) => {
     fs.createReadStream(filePath)
       .pipe(csv({ separator: ";" }))
       .on("data", (row) => {
+        recordRow(stats);
+        let id = "";
         try {
-          const id = normalizeKey(row.ID_BASE_TRECHO);
-          if (!id) { skipped++; return; }
+          id = normalizeKey(row.ID_BASE_TRECHO);
+          if (!id) { skipped++; recordMissingId(stats); return; }
 
           // geometry
           const wkt = normalizeKey(row.GEOMETRIA);
           const geo = parseGeometryWktToGeoJSON(wkt);
+          recordGeometry(stats, id, wkt, geo);
           if (geo) {
             geomBatch.push([id, JSON.stringify(geo)]);
           }
 
-          if (isIlum) {
-            dataBatch.push({ type: "ilum", params: [id, normalizeKey(row.IND_IP)] });
-          } else if (isMf) {
-            dataBatch.push({ type: "mf", params: [id, normalizeKey(row.IND_MF)] });
-          } else if (isPav) {
-            dataBatch.push({ type: "pav", params: [
-              id,
-              normalizeKey(row.IND_PAV),
-              normalizeKey(row.TP_PAV),
-              normalizeKey(row.DATA),
-            ] });
-          } else if (isAgua) {
-            dataBatch.push({ type: "agua", params: [
-              id,
-              normalizeKey(row.IND_RDAGU),
-            ] });
-          } else if (isEsgoto) {
-            dataBatch.push({ type: "esgoto", params: [
-              id,
-              normalizeKey(row.IND_RDESG),
-            ] });
-          } else if (isEletrica) {
-            dataBatch.push({ type: "eletrica", params: [id, normalizeKey(row.IND_RE)] });
-          } else if (isTelefone) {
-            dataBatch.push({ type: "telefone", params: [id, normalizeKey(row.IND_RT)] });
-          } else if (isColeta) {
-            dataBatch.push({ type: "coleta", params: [
-              id,
-              normalizeKey(row.PROGRAMACAO),
-              normalizeKey(row.TURNO),
-              normalizeKey(row.NOME_DISTRITO),
-              normalizeKey(row.COOPERATIVA_RESPONSAVEL),
-            ] });
-          } else {
-            // unknown file type; ignore
-          }
+          const values = dataset.columns.map(c => readColumnValue(row, c, (column, raw) => recordInvalidDate(stats, id, column, raw)));
+          for (const column of indicatorColumns) recordIndicator(stats, id, column, normalizeKey(row[column]));
+          recordDataValues(stats, id, values, mergeRules);
+          dataBatch.push([id, ...values]);
 
           processed++;
           if ((geomBatch.length + dataBatch.length) >= 1000) flush();
         } catch (e) {
           skipped++;
+          recordError(stats, id, e);
         }
       })
       .on("end", () => {
         if (geomBatch.length || dataBatch.length) flush();
+        stats.processadas = processed;
         resolve({ inserted: processed, skipped });
       })
       .on("error", reject);
   });
 }
 
+// Returns [{ data: "YYYY-MM-DD", files: [{ file, dataset }] }] sorted by date
+function discoverSnapshots() {
+  const byDate = new Map();
+  for (const file of fs.readdirSync(DATA_DIR).sort()) {
+    if (!/\.csv$/i.test(file) || file === CEP_FILE.file) continue;
+    const match = matchDatasetFile(file);
+    if (!match) {
+      console.warn(`skip: ${file} does not match a dataset in the registry`);
+      continue;
+    }
+    const { dataset, date: data } = match;
+    if (!byDate.has(data)) byDate.set(data, []);
+    byDate.get(data).push({ file, dataset });
+  }
+  return [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([data, files]) => ({ data, files }));
+}
+
+// Latest file of each dataset, in registry order
+function latestFiles(snapshots) {
+  const latest = new Map();
+  for (const { files } of snapshots) {
+    for (const f of files) latest.set(f.dataset.name, f);
+  }
+  return DATASETS.filter(d => latest.has(d.name)).map(d => latest.get(d.name));
+}
+
+// Copies snapshot/trecho_historico from the active infra.db so history survives the rebuild
+function carryOverHistory(db) {
+  if (REBUILD_HISTORY || !fs.existsSync(DB_PATH)) return;
+  const previous = fs.realpathSync(DB_PATH);
+  db.prepare(`ATTACH DATABASE ? AS prev`).run(previous);
+  try {
+    const has = (name) => db.prepare(`SELECT 1 FROM prev.sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+    if (has("snapshot") && has("trecho_historico")) {
+      // Older versions also recorded non-status columns; those are left behind
+      const campos = DATASETS.flatMap(statusColumns).map(c => c.name);
+      db.exec(`INSERT INTO snapshot SELECT * FROM prev.snapshot`);
+      db.prepare(`INSERT INTO trecho_historico SELECT * FROM prev.trecho_historico WHERE campo IN (${campos.map(() => "?").join(",")})`).run(...campos);
+      console.log(`history carried over from ${path.basename(previous)}`);
+    }
+  } finally {
+    db.exec(`DETACH DATABASE prev`);
+  }
+}
+
+// CSV value for a registry column; "latest" columns are normalized dates, NULL when empty or
+// unparseable, so a trecho without a date reads the same whatever its files held
+function readColumnValue(row, column, onInvalidDate) {
+  const raw = normalizeKey(row[column.source]);
+  if (column.merge !== "latest") return raw;
+  const date = normalizeDateValue(raw);
+  if (date === null && onInvalidDate) onInvalidDate(column.name, raw);
+  return date || null;
+}
+
+function readDatasetValues(file, columns) {
+  const values = new Map(); // id -> { campo: valor }
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(path.join(DATA_DIR, file))
+      .pipe(csv({ separator: ";" }))
+      .on("data", (row) => {
+        const id = normalizeKey(row.ID_BASE_TRECHO);
+        if (!id) return;
+        const current = values.get(id) || {};
+        for (const column of columns) {
+          const v = readColumnValue(row, column) ?? "";
+          const previous = current[column.name];
+          // Same rules as the upserts (mergeExpression): overwrite takes the last row as it is,
+          // coalesce the last non-empty value, latest the greatest non-empty one
+          const replace = previous === undefined
+            || column.merge === "overwrite"
+            || (v !== "" && (column.merge === "coalesce" || previous === "" || v > previous));
+          if (replace) current[column.name] = v;
+        }
+        values.set(id, current);
+      })
+      .on("end", () => resolve(values))
+      .on("error", reject);
+  });
+}
+
+async function recordSnapshot(db, { data, files }) {
+  const insert = db.prepare(`INSERT INTO trecho_historico (id_base_trecho, campo, snapshot_data, valor) VALUES (?, ?, ?, ?)`);
+  let changes = 0;
+
+  for (const { file, dataset } of files) {
+    // History is kept for the service status columns of trecho datasets only
+    const columns = statusColumns(dataset);
+    if (!columns.length) continue;
+    const campos = columns.map(c => c.name);
+    const previous = new Map();
+    const lastValues = db.prepare(`
+      SELECT h.id_base_trecho, h.campo, h.valor
+      FROM trecho_historico h
+      JOIN (
+        SELECT id_base_trecho, campo, MAX(snapshot_data) AS ultima
+        FROM trecho_historico
+        WHERE campo IN (${campos.map(() => "?").join(",")})
+        GROUP BY id_base_trecho, campo
+      ) l ON l.id_base_trecho = h.id_base_trecho AND l.campo = h.campo AND l.ultima = h.snapshot_data
+    `);
+    // Empty cells are stored as NULL: "" and a missing value are the same state (older files may hold "")
+    for (const row of lastValues.iterate(...campos)) previous.set(`${row.id_base_trecho}\u0000${row.campo}`, row.valor === "" ? null : row.valor);
+
+    const values = await readDatasetValues(file, columns);
+    const write = db.transaction(() => {
+      for (const [id, fields] of values) {
+        for (const campo of campos) {
+          const key = `${id}\u0000${campo}`;
+          const before = previous.has(key) ? previous.get(key) : null;
+          const valor = fields[campo] === "" ? null : fields[campo];
+          if (before !== valor) {
+            insert.run(id, campo, data, valor);
+            changes++;
+          }
+          previous.delete(key);
+        }
+      }
+      // Whatever is left was listed before and is missing from this snapshot
+      for (const [key, before] of previous) {
+        if (before === null) continue;
+        const [id, campo] = key.split("\u0000");
+        insert.run(id, campo, data, null);
+        changes++;
+      }
+    });
+    write();
+  }
+
+  db.prepare(`INSERT INTO snapshot (data, arquivos, ingested_at) VALUES (?, ?, ?)`)
+    .run(data, JSON.stringify(files.map(f => f.file)), new Date().toISOString());
+  return changes;
+}
+
+async function recordHistory(db, snapshots) {
+  carryOverHistory(db);
+  const recorded = new Set(db.prepare(`SELECT data FROM snapshot`).pluck().all());
+  const newest = [...recorded].sort().pop() || "";
+  for (const snapshot of snapshots) {
+    if (recorded.has(snapshot.data)) continue;
+    if (snapshot.data < newest) {
+      console.warn(`skip history for ${snapshot.data}: older than recorded snapshot ${newest} (run with INGEST_REBUILD_HISTORY=1 to rebuild)`);
+      continue;
+    }
+    const changes = await recordSnapshot(db, snapshot);
+    console.log(`snapshot ${snapshot.data}: ${snapshot.files.length} files, ${changes} changes recorded`);
+  }
+}
+
+// infra-YYYYMMDDTHHMMSSmmmZ.db; versions from before milliseconds were added lack the mmm
+const VERSION_FILE = /^infra-\d{8}T\d{6}(\d{3})?Z\.db$/;
+
+function versionedDbPath(generatedAt) {
+  const stamp = generatedAt.replace(/[-:.]/g, "");
+  return path.join(path.dirname(DB_PATH), `infra-${stamp}.db`);
+}
+
+// Points infra.db at the new version with a rename, which is atomic: readers see
+// either the old file or the new one, never a half-written database.
+function activateVersion(versionPath) {
+  const tmpLink = `${DB_PATH}.${process.pid}.tmp`;
+  if (fs.existsSync(tmpLink)) fs.rmSync(tmpLink);
+  const wasRegularFile = fs.existsSync(DB_PATH) && !fs.lstatSync(DB_PATH).isSymbolicLink();
+  try {
+    fs.symlinkSync(path.basename(versionPath), tmpLink);
+  } catch (_) {
+    // No symlink support (e.g. some Windows setups): fall back to a copy
+    fs.copyFileSync(versionPath, tmpLink);
+  }
+  fs.renameSync(tmpLink, DB_PATH);
+  // Journal files of a pre-versioning infra.db must not be applied to the new one
+  if (wasRegularFile) {
+    for (const suffix of ["-wal", "-shm"]) {
+      if (fs.existsSync(DB_PATH + suffix)) fs.rmSync(DB_PATH + suffix);
+    }
+  }
+}
+
+// Version file infra.db points at, or null when it is missing or a plain file
+function currentVersionPath() {
+  try {
+    return path.join(path.dirname(DB_PATH), path.basename(fs.readlinkSync(DB_PATH)));
+  } catch (_) {
+    return null;
+  }
+}
+
+// keepPaths: the new version and the one it replaced, which a running server still has open
+// until its watcher reloads
+function pruneOldVersions(keepPaths) {
+  const dir = path.dirname(DB_PATH);
+  const versions = fs.readdirSync(dir)
+    .filter(f => VERSION_FILE.test(f))
+    .sort()
+    .reverse();
+  for (const f of versions.slice(Math.max(1, KEEP_VERSIONS))) {
+    const full = path.join(dir, f);
+    if (keepPaths.includes(full)) continue;
+    fs.rmSync(full);
+    console.log(`removed old version ${f}`);
+  }
+}
+
 async function main() {
   if (!fs.existsSync(DATA_DIR)) {
     console.error(`data directory not found: ${DATA_DIR}`);
     process.exit(1);
   }
 
-  // Recreate DB each run to keep it in sync with CSVs
-  if (fs.existsSync(DB_PATH)) fs.rmSync(DB_PATH);
+  const snapshots = discoverSnapshots();
+  if (!snapshots.length) {
+    console.error(`no dated snapshot files (YYYYMMDD_<dataset>.csv) found in ${DATA_DIR}`);
+    process.exit(1);
+  }
+
+  // Build a fresh versioned DB each run; infra.db only switches to it once complete,
+  // so a running server never sees a partial database.
+  const generatedAt = new Date().toISOString();
+  const versionPath = versionedDbPath(generatedAt);
+  // Claim the name; an existing file may be the active version, so never overwrite it
+  try {
+    fs.closeSync(fs.openSync(versionPath, "wx"));
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    console.error(`${path.basename(versionPath)} already exists; is another ingest running?`);
+    process.exit(1);
+  }
+
+  try {
+    await buildDatabase(versionPath, generatedAt, snapshots);
+  } catch (err) {
+    for (const suffix of ["", "-wal", "-shm"]) {
+      if (fs.existsSync(versionPath + suffix)) fs.rmSync(versionPath + suffix);
+    }
+    throw err;
+  }
 
-  const db = new Database(DB_PATH);
+  const previousPath = currentVersionPath();
+  activateVersion(versionPath);
+  console.log(`infra.db -> ${path.basename(versionPath)}`);
+  pruneOldVersions([versionPath, previousPath]);
+}
+
+async function buildDatabase(dbPath, generatedAt, snapshots) {
+  const db = new Database(dbPath);
   db.pragma("journal_mode = WAL");
   db.pragma("synchronous = NORMAL");
 
@@ -242,25 +525,64 @@ async function main() {
 
   let totalInserted = 0;
   let totalSkipped = 0;
-  for (const f of FILES) {
+  const fileStats = [];
+  for (const f of latestFiles(snapshots)) {
     console.log(`ingesting ${f.file}...`);
-    const { inserted, skipped } = await ingestFile(db, f);
+    const stats = createFileStats(f.file);
+    const ingest = f.dataset.type === "trecho" ? ingestFile : ingestFeatureFile;
+    const { inserted, skipped } = await ingest(db, f, stats);
+    fileStats.push(finishFileStats(stats));
     totalInserted += inserted;
     totalSkipped += skipped;
     console.log(`done ${f.file}: processed=${inserted} skipped=${skipped}`);
   }
 
+  console.log(`ingesting ${CEP_FILE.file}...`);
+  const cepResult = await ingestCepFile(db, CEP_FILE);
+  console.log(`done ${CEP_FILE.file}: processed=${cepResult.inserted} skipped=${cepResult.skipped}`);
+
+  const report = buildQualityReport({
+    generatedAt,
+    files: fileStats,
+    semGeometria: collectDataWithoutGeometry(db),
+    totalTrechos: db.prepare("SELECT COUNT(*) AS c FROM trecho_data").get().c,
+    maxRatio: MAX_ERROR_RATIO,
+  });
+  writeQualityTable(db, report);
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+  console.log(`quality report: ${REPORT_PATH} (${report.violacoes.length} checks above ${MAX_ERROR_RATIO * 100}%)`);
+  for (const v of report.violacoes) {
+    console.warn(`  ${v.arquivo} ${v.verificacao}: ${v.quantidade} (${(v.proporcao * 100).toFixed(2)}%)`);
+  }
+  if (STRICT && report.violacoes.length) {
+    db.close();
+    throw new Error(`strict mode: ${report.violacoes.length} quality checks above the limit, see ${REPORT_PATH}`);
+  }
+
+  await recordHistory(db, snapshots);
+
   // Simple metadata table
   db.exec(`CREATE TABLE IF NOT EXISTS meta (k TEXT PRIMARY KEY, v TEXT);`);
   const setMeta = db.prepare(`INSERT INTO meta(k,v) VALUES(?,?) ON CONFLICT(k) DO UPDATE SET v=excluded.v`);
-  setMeta.run("generated_at", new Date().toISOString());
+  setMeta.run("generated_at", generatedAt);
   setMeta.run("source", "csv");
+  setMeta.run("snapshot", snapshots[snapshots.length - 1].data);
 
-  console.log(`All done. Processed=${totalInserted} Skipped=${totalSkipped}. DB: ${DB_PATH}`);
+  console.log(`All done. Processed=${totalInserted} Skipped=${totalSkipped}. DB: ${dbPath}`);
   const cntGeom = db.prepare("SELECT COUNT(*) AS c FROM trecho_geom").get().c;
   const cntData = db.prepare("SELECT COUNT(*) AS c FROM trecho_data").get().c;
   console.log(`Trecho geom: ${cntGeom}`);
   console.log(`Trecho data: ${cntData}`);
+  const cntCep = db.prepare("SELECT COUNT(*) AS c FROM cep").get().c;
+  console.log(`CEP: ${cntCep}`);
+  for (const { camada, c } of db.prepare("SELECT camada, COUNT(*) AS c FROM feature GROUP BY camada").iterate()) {
+    console.log(`Camada ${camada}: ${c}`);
+  }
+
+  // Self-contained file (no -wal/-shm) before it becomes visible to readers
+  db.pragma("wal_checkpoint(TRUNCATE)");
+  db.pragma("journal_mode = DELETE");
+  db.close();
 }
 
 main().catch((err) => {
@@ -0,0 +1,162 @@
+// Selective collection schedule: PBH's free-form PROGRAMACAO/TURNO strings
+// ("SEGUNDA E QUINTA", "SEG A SEX", "TERÇA-FEIRA" / "MANHÃ", "NOTURNO") parsed into
+// weekdays and a shift, plus the next pickup date and an iCalendar feed.
+
+export const TIME_ZONE = "America/Sao_Paulo";
+
+// Index = JS getUTCDay()
+const WEEKDAYS = [
+  { token: "DOM", palavra: "DOMINGO", nome: "domingo", ics: "SU" },
+  { token: "SEG", palavra: "SEGUNDA", nome: "segunda", ics: "MO" },
+  { token: "TER", palavra: "TERCA", nome: "terça", ics: "TU" },
+  { token: "QUA", palavra: "QUARTA", nome: "quarta", ics: "WE" },
+  { token: "QUI", palavra: "QUINTA", nome: "quinta", ics: "TH" },
+  { token: "SEX", palavra: "SEXTA", nome: "sexta", ics: "FR" },
+  { token: "SAB", palavra: "SABADO", nome: "sábado", ics: "SA" },
+];
+// A whole weekday word: the abbreviation or the full name, singular or plural ("SEG", "SEGUNDAS");
+// "QUINZENAL" or "TERMINAL" only start like one. "-FEIRA" is stripped by normalize().
+const DAY = `(${WEEKDAYS.map(d => `${d.token}(?:${d.palavra.slice(d.token.length)}S?)?`).join("|")})\\b`;
+// Monday-first order for responses
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const SHIFTS = [
+  { turno: "manhã", pattern: /\b(MANHA|MATUTINO)\b/, inicio: "07:00", fim: "12:00" },
+  { turno: "tarde", pattern: /\b(TARDE|VESPERTINO)\b/, inicio: "13:00", fim: "18:00" },
+  { turno: "noite", pattern: /\b(NOITE|NOTURNO)\b/, inicio: "19:00", fim: "23:00" },
+];
+
+function normalize(value) {
+  return (value || "").toString().normalize("NFD").replace(/[\u0300-\u036f]/g, "").toUpperCase().replace(/-FEIRA/g, "");
+}
+
+function dayIndex(word) {
+  return WEEKDAYS.findIndex(d => word.startsWith(d.token));
+}
+
+// Weekday indexes (0 = Sunday) mentioned in a PROGRAMACAO string; ranges like "SEG A SEX" are expanded
+export function parseDias(programacao) {
+  const text = normalize(programacao);
+  if (text.includes("SEM COLETA")) return [];
+  if (/\b(DIARIA|DIARIAMENTE|TODOS OS DIAS)\b/.test(text)) return [...WEEK_ORDER];
+  const dias = new Set();
+  const rest = text.replace(new RegExp(`\\b${DAY}\\s*(?:\\bA\\b|\\bAS\\b|\\bATE\\b|-|/A)\\s*${DAY}`, "g"), (_, from, to) => {
+    // walk forward from the first day, wrapping around the week ("SEX A SEG")
+    for (let d = dayIndex(from); ; d = (d + 1) % 7) {
+      dias.add(d);
+      if (d === dayIndex(to)) break;
+    }
+    return " ";
+  });
+  for (const [word] of rest.matchAll(new RegExp(`\\b${DAY}`, "g"))) dias.add(dayIndex(word));
+  return WEEK_ORDER.filter(i => dias.has(i));
+}
+
+// "manhã" | "tarde" | "noite" | null ("DIURNO" and the like do not name a shift)
+export function parseTurno(turno) {
+  const text = normalize(turno);
+  return SHIFTS.find(s => s.pattern.test(text))?.turno || null;
+}
+
+const BH_DATE_FORMAT = new Intl.DateTimeFormat("en-CA", { timeZone: TIME_ZONE, year: "numeric", month: "2-digit", day: "2-digit" });
+
+// Today's date in Belo Horizonte, "YYYY-MM-DD"
+export function todayInBh(now = new Date()) {
+  return BH_DATE_FORMAT.format(now);
+}
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// First pickup on or after the reference date
+export function nextPickup(dias, dataReferencia) {
+  if (!dias.length) return null;
+  const weekday = new Date(`${dataReferencia}T00:00:00Z`).getUTCDay();
+  const offset = Math.min(...dias.map(d => (d - weekday + 7) % 7));
+  return addDays(dataReferencia, offset);
+}
+
+// Structured schedule for the coleta_seletiva block; null when there is no pickup to describe
+export function buildAgenda(programacao, turno, dataReferencia) {
+  const dias = parseDias(programacao);
+  if (!dias.length) return null;
+  return {
+    dias_semana: dias.map(i => WEEKDAYS[i].nome),
+    turno: parseTurno(turno),
+    proxima_coleta: nextPickup(dias, dataReferencia),
+    data_referencia: dataReferencia,
+  };
+}
+
+function escapeIcsText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/([,;])/g, "\\$1");
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDate(isoDate) {
+  return isoDate.replace(/-/g, "");
+}
+
+function icsDateTime(isoDate, hhmm) {
+  return `${icsDate(isoDate)}T${hhmm.replace(":", "")}00`;
+}
+
+// Weekly recurring event for one segment's schedule. Without a known shift the events are all-day.
+// uid must be stable so calendar apps update the subscription instead of duplicating it.
+export function buildColetaIcs({ uid, programacao, turno, local, cooperativa, dataReferencia, now = new Date() }) {
+  const dias = parseDias(programacao);
+  const shift = SHIFTS.find(s => s.turno === parseTurno(turno));
+  const inicio = nextPickup(dias, dataReferencia);
+  const descricao = [`Programação: ${programacao}`, turno ? `Turno: ${turno}` : null, cooperativa ? `Cooperativa: ${cooperativa}` : null]
+    .filter(Boolean).join("\n");
+  const when = shift
+    ? [`DTSTART;TZID=${TIME_ZONE}:${icsDateTime(inicio, shift.inicio)}`, `DTEND;TZID=${TIME_ZONE}:${icsDateTime(inicio, shift.fim)}`]
+    : [`DTSTART;VALUE=DATE:${icsDate(inicio)}`, `DTEND;VALUE=DATE:${icsDate(addDays(inicio, 1))}`];
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//bh-infra-api//coleta seletiva//PT",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Coleta seletiva",
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIME_ZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    "TZOFFSETFROM:-0300",
+    "TZOFFSETTO:-0300",
+    "TZNAME:-03",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")}`,
+    ...when,
+    `RRULE:FREQ=WEEKLY;BYDAY=${dias.map(i => WEEKDAYS[i].ics).join(",")}`,
+    "SUMMARY:Coleta seletiva",
+    `DESCRIPTION:${escapeIcsText(descricao)}`,
+    local ? `LOCATION:${escapeIcsText(local)}` : null,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
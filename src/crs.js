@@ -0,0 +1,35 @@
+import proj4 from "proj4";
+
+// CRS: SIRGAS2000 / UTM zone 23S (EPSG:31983) → WGS84
+proj4.defs("EPSG:31983","+proj=utm +zone=23 +south +datum=SIRGAS2000 +units=m +no_defs");
+
+export function toUtm([lon, lat]) {
+  return proj4("EPSG:4326", "EPSG:31983", [lon, lat]);
+}
+
+export function toWgs84([x, y]) {
+  return proj4("EPSG:31983", "EPSG:4326", [x, y]);
+}
+
+function reprojectGeometry(geometry, project) {
+  if (!geometry) return null;
+  const walk = (coords) => {
+    if (!Array.isArray(coords)) return coords;
+    if (typeof coords[0] === "number") return project(coords);
+    return coords.map(walk);
+  };
+  if (geometry.type === "GeometryCollection") {
+    return { type: "GeometryCollection", geometries: (geometry.geometries || []).map(g => reprojectGeometry(g, project)) };
+  }
+  return { type: geometry.type, coordinates: walk(geometry.coordinates) };
+}
+
+// Reprojects any GeoJSON geometry (nested coordinate arrays) from EPSG:31983 to WGS84
+export function geometryToWgs84(geometry) {
+  return reprojectGeometry(geometry, toWgs84);
+}
+
+// ... and from WGS84 to EPSG:31983
+export function geometryToUtm(geometry) {
+  return reprojectGeometry(geometry, toUtm);
+}
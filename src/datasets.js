@@ -0,0 +1,173 @@
+import fs from "fs";
+
+// Dataset registry: one entry per PBH layer, loaded from datasets.json (or DATASETS_CONFIG).
+// Each entry declares
+//   name          unique id
+//   type          "trecho" (default): street segment indicators merged into trecho_data
+//                 "zone": polygons answered by point-in-polygon (regionals, risk areas, zoning)
+//                 "point": facilities answered by nearest-N (health centers, schools, bus stops)
+//   file_pattern  regex for the CSV file name, with a (?<date>YYYYMMDD) group
+// trecho entries:
+//   columns       trecho_data column -> { source: CSV column, merge, indicator? }
+//                 merge: "overwrite" | "coalesce" (keep previous when empty) | "latest" (keep the greatest value, for dates)
+//   service       optional response mapping: { key, available: { rule, ... }, fields? }
+// zone/point entries:
+//   id_column     CSV column with the feature id
+//   properties    response property -> CSV column
+//   response      { key, limit?, max_distance? } (limit/max_distance: point layers only, meters)
+// Adding a layer is a matter of adding an entry; ingest, history, quality checks and
+// the /infra response all read from here.
+
+const DEFAULT_CONFIG = new URL("../datasets.json", import.meta.url).pathname;
+const MERGE_RULES = new Set(["overwrite", "coalesce", "latest"]);
+const AVAILABLE_RULES = new Set(["indicator", "coleta"]);
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+const TYPES = new Set(["trecho", "zone", "point"]);
+const DEFAULT_POINT_LIMIT = 3;
+const DEFAULT_POINT_MAX_DISTANCE = 1000;
+
+function fail(dataset, message) {
+  throw new Error(`datasets: ${dataset?.name || "?"}: ${message}`);
+}
+
+function normalizeFeatureLayer(raw, type, pattern, seenKeys) {
+  if (!raw.id_column) fail(raw, "id_column is required");
+  const properties = raw.properties || {};
+  const { key, limit = DEFAULT_POINT_LIMIT, max_distance = DEFAULT_POINT_MAX_DISTANCE } = raw.response || {};
+  if (!IDENTIFIER.test(key || "")) fail(raw, "response.key is required");
+  if (seenKeys.has(key)) fail(raw, `response key ${key} is already used`);
+  seenKeys.add(key);
+  if (!Number.isInteger(limit) || limit < 1) fail(raw, "response.limit must be a positive integer");
+  if (!Number.isFinite(max_distance) || max_distance <= 0) fail(raw, "response.max_distance must be positive");
+  return { name: raw.name, type, pattern, idColumn: raw.id_column, properties, response: { key, limit, max_distance } };
+}
+
+function normalizeDataset(raw, seenColumns, seenKeys) {
+  if (!raw || typeof raw.name !== "string" || !IDENTIFIER.test(raw.name)) fail(raw, "name is required (lowercase letters, digits and _)");
+  let pattern;
+  try { pattern = new RegExp(raw.file_pattern, "i"); } catch (err) { fail(raw, `invalid file_pattern: ${err.message}`); }
+  if (!/\(\?<date>/.test(raw.file_pattern)) fail(raw, "file_pattern needs a (?<date>...) group");
+  const type = raw.type || "trecho";
+  if (!TYPES.has(type)) fail(raw, `type must be one of ${[...TYPES].join(", ")}`);
+  if (type !== "trecho") return normalizeFeatureLayer(raw, type, pattern, seenKeys);
+
+  const columns = Object.entries(raw.columns || {}).map(([name, spec]) => {
+    if (!IDENTIFIER.test(name)) fail(raw, `invalid column name ${name}`);
+    if (seenColumns.has(name)) fail(raw, `column ${name} already belongs to ${seenColumns.get(name)}`);
+    seenColumns.set(name, raw.name);
+    if (!spec?.source) fail(raw, `column ${name} needs a source`);
+    const merge = spec.merge || "overwrite";
+    if (!MERGE_RULES.has(merge)) fail(raw, `column ${name}: unknown merge rule ${merge}`);
+    return { name, source: spec.source, merge, indicator: !!spec.indicator };
+  });
+  if (!columns.length) fail(raw, "at least one column is required");
+
+  let service = null;
+  if (raw.service) {
+    const { key, available, fields = {} } = raw.service;
+    if (!IDENTIFIER.test(key || "")) fail(raw, "service.key is required");
+    if (seenKeys.has(key)) fail(raw, `service key ${key} is already used`);
+    seenKeys.add(key);
+    if (!AVAILABLE_RULES.has(available?.rule)) fail(raw, `service.available.rule must be one of ${[...AVAILABLE_RULES].join(", ")}`);
+    service = { key, available, fields };
+  }
+
+  return { name: raw.name, type, pattern, columns, service };
+}
+
+export function loadDatasets(configPath = process.env.DATASETS_CONFIG || DEFAULT_CONFIG) {
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!Array.isArray(raw)) throw new Error(`datasets: ${configPath} must hold a JSON array`);
+  const seenColumns = new Map();
+  const seenKeys = new Set();
+  const seenNames = new Set();
+  return raw.map((d) => {
+    const dataset = normalizeDataset(d, seenColumns, seenKeys);
+    if (seenNames.has(dataset.name)) fail(d, "duplicate name");
+    seenNames.add(dataset.name);
+    return dataset;
+  });
+}
+
+export const DATASETS = loadDatasets();
+export const TRECHO_DATASETS = DATASETS.filter(d => d.type === "trecho");
+export const FEATURE_LAYERS = DATASETS.filter(d => d.type !== "trecho");
+
+// Matches a file name against the registry: { dataset, date: "YYYY-MM-DD" } | null
+export function matchDatasetFile(file) {
+  for (const dataset of DATASETS) {
+    const m = dataset.pattern.exec(file);
+    if (!m) continue;
+    const digits = m.groups.date.replace(/\D/g, "");
+    return { dataset, date: `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}` };
+  }
+  return null;
+}
+
+// Columns a service's availability is computed from; snapshot history records only these
+export function statusColumns(dataset) {
+  const available = dataset.service?.available;
+  if (!available) return [];
+  const names = new Set([available.column, available.infer_from, ...(available.columns || [])].filter(Boolean));
+  return dataset.columns.filter(c => names.has(c.name));
+}
+
+export function trechoDataColumns() {
+  return TRECHO_DATASETS.flatMap(d => d.columns.map(c => c.name));
+}
+
+// "latest" columns compare as text, so dates are stored as "YYYY-MM-DD HH:MM:SS" in Belo Horizonte
+// time (UTC-3, no DST since 2019). Accepts ISO dates/datetimes, with an optional Z or ±hh:mm offset
+// that is converted to BH time, and DD/MM/YYYY[ HH:MM[:SS]]; returns "" for empty, null when
+// unparseable or when the date or time does not exist.
+const BH_OFFSET_MINUTES = -180;
+
+export function normalizeDateValue(raw) {
+  const v = String(raw ?? "").trim();
+  if (v === "") return "";
+  let m = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/.exec(v);
+  let parts = m && [m[1], m[2], m[3], m[4], m[5], m[6], m[7]];
+  if (!m) {
+    m = /^(\d{2})\/(\d{2})\/(\d{4})(?:,? (\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(v);
+    parts = m && [m[3], m[2], m[1], m[4], m[5], m[6], undefined];
+  }
+  if (!parts) return null;
+  const [year, month, day, hh = 0, mm = 0, ss = 0] = parts.slice(0, 6).map(p => (p === undefined ? undefined : Number(p)));
+  const offset = parts[6];
+  // Date.UTC rolls 2025-02-30 over to March; a date that exists comes back unchanged
+  const local = new Date(Date.UTC(year, month - 1, day));
+  if (local.getUTCFullYear() !== year || local.getUTCMonth() !== month - 1 || local.getUTCDate() !== day) return null;
+  if (hh > 23 || mm > 59 || ss > 59) return null;
+
+  let epoch = Date.UTC(year, month - 1, day, hh, mm, ss);
+  if (offset) {
+    const [, sign, oh, om] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset) || ["Z", "+", "00", "00"];
+    if (Number(oh) > 14 || Number(om) > 59) return null;
+    const minutes = (sign === "-" ? -1 : 1) * (Number(oh) * 60 + Number(om));
+    epoch += (BH_OFFSET_MINUTES - minutes) * 60000;
+  }
+  return new Date(epoch).toISOString().slice(0, 19).replace("T", " ");
+}
+
+function mergeExpression({ name, merge }) {
+  if (merge === "coalesce") return `${name} = COALESCE(NULLIF(excluded.${name}, ''), trecho_data.${name})`;
+  if (merge === "latest") {
+    return `${name} = CASE
+        WHEN excluded.${name} IS NULL THEN trecho_data.${name}
+        WHEN trecho_data.${name} IS NULL OR trecho_data.${name} < excluded.${name} THEN excluded.${name}
+        ELSE trecho_data.${name}
+      END`;
+  }
+  return `${name} = excluded.${name}`;
+}
+
+// Upsert for one dataset's columns; parameters are (id_base_trecho, ...columns in order)
+export function buildUpsertSql(dataset) {
+  const names = dataset.columns.map(c => c.name);
+  return `
+    INSERT INTO trecho_data (id_base_trecho, ${names.join(", ")})
+    VALUES (?, ${names.map(() => "?").join(", ")})
+    ON CONFLICT(id_base_trecho) DO UPDATE SET
+      ${dataset.columns.map(mergeExpression).join(",\n      ")}
+  `;
+}
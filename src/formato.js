@@ -0,0 +1,152 @@
+// Response presentation. The default is the Portuguese display output; clients can ask for
+//   formato=maquina (or Accept: application/vnd.bh-infra.maquina+json): enum codes, booleans,
+//                   ISO-8601 dates and numeric lat/lon, independent of language
+//   Accept-Language: en | es            translated display labels (pt-BR is the default)
+
+export const MACHINE_CONTENT_TYPE = "application/vnd.bh-infra.maquina+json";
+export const FORMATOS = ["texto", "maquina"];
+
+const STATUS_CODES = {
+  "Sim": { status: "available", disponivel: true },
+  "Não": { status: "unavailable", disponivel: false },
+  "não informado": { status: "unknown", disponivel: null },
+  "não encontrado": { status: "no_match", disponivel: null },
+};
+const PLACEHOLDERS = new Set(["não informado", "não encontrado"]);
+const WEEKDAY_CODES = {
+  segunda: "monday", "terça": "tuesday", quarta: "wednesday", quinta: "thursday", sexta: "friday", "sábado": "saturday", domingo: "sunday",
+};
+const SHIFT_CODES = { "manhã": "morning", tarde: "afternoon", noite: "night" };
+
+const LABELS = {
+  en: {
+    "Sim": "Yes", "Não": "No", "não informado": "Not informed", "não encontrado": "Not found",
+    segunda: "Monday", "terça": "Tuesday", quarta: "Wednesday", quinta: "Thursday", sexta: "Friday", "sábado": "Saturday", domingo: "Sunday",
+    "manhã": "morning", tarde: "afternoon", noite: "night",
+  },
+  es: {
+    "Sim": "Sí", "Não": "No", "não informado": "No informado", "não encontrado": "No encontrado",
+    segunda: "lunes", "terça": "martes", quarta: "miércoles", quinta: "jueves", sexta: "viernes", "sábado": "sábado", domingo: "domingo",
+    "manhã": "mañana", tarde: "tarde", noite: "noche",
+  },
+};
+const IDIOMAS = { pt: "pt-BR", en: "en", es: "es" };
+
+// First supported language of an Accept-Language header, by q-value; pt-BR otherwise
+function negotiateIdioma(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { lang: tag.trim().toLowerCase().split("-")[0], q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(({ lang, q }) => IDIOMAS[lang] && q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length ? IDIOMAS[ranked[0].lang] : IDIOMAS.pt;
+}
+
+// { formato, idioma, viaAccept } from the query string and headers
+export function negotiateFormat(searchParams, headers) {
+  const raw = (searchParams.get("formato") || "").trim().toLowerCase();
+  const viaAccept = raw === "" && String(headers.accept || "").includes(MACHINE_CONTENT_TYPE);
+  return { formato: raw === "maquina" || viaAccept ? "maquina" : "texto", idioma: negotiateIdioma(headers["accept-language"]), viaAccept };
+}
+
+// Response headers for a negotiated format
+export function formatHeaders({ formato, idioma, viaAccept }) {
+  const headers = { Vary: "Accept, Accept-Language" };
+  if (formato === "maquina") {
+    if (viaAccept) headers["Content-Type"] = `${MACHINE_CONTENT_TYPE}; charset=utf-8`;
+  } else {
+    headers["Content-Language"] = idioma;
+  }
+  return headers;
+}
+
+// "YYYY-MM-DD HH:mm:ss" (local BH time, no DST since 2019) -> ISO-8601 with offset
+function toIsoDateTime(value) {
+  const m = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(:\d{2})?)?$/.exec(String(value ?? "").trim());
+  if (!m) return value;
+  return m[2] ? `${m[1]}T${m[2]}${m[3] || ":00"}-03:00` : m[1];
+}
+
+function translate(value, idioma) {
+  return LABELS[idioma]?.[value] ?? value;
+}
+
+function presentAgenda(agenda, { formato, idioma }) {
+  if (!agenda) return agenda;
+  if (formato === "maquina") {
+    return { ...agenda, dias_semana: agenda.dias_semana.map(d => WEEKDAY_CODES[d]), turno: SHIFT_CODES[agenda.turno] ?? null };
+  }
+  return { ...agenda, dias_semana: agenda.dias_semana.map(d => translate(d, idioma)), turno: agenda.turno && translate(agenda.turno, idioma) };
+}
+
+// One service block ({ disponivel, ...fields }); placeholder labels used as field defaults
+// ("não informado" for pavimentacao.tipo) are translated, or null in machine mode, where
+// data_* fields also become ISO dates
+function presentServico(servico, fmt) {
+  const out = {};
+  for (const [field, value] of Object.entries(servico)) {
+    if (field === "disponivel") {
+      Object.assign(out, fmt.formato === "maquina" ? STATUS_CODES[value] : { disponivel: translate(value, fmt.idioma) });
+    } else if (field === "agenda") {
+      out.agenda = presentAgenda(value, fmt);
+    } else if (PLACEHOLDERS.has(value)) {
+      out[field] = fmt.formato === "maquina" ? null : translate(value, fmt.idioma);
+    } else if (fmt.formato === "maquina" && field.startsWith("data_") && value != null) {
+      out[field] = toIsoDateTime(value);
+    } else {
+      out[field] = value;
+    }
+  }
+  return out;
+}
+
+function presentServicos(servicos, fmt) {
+  return Object.fromEntries(Object.entries(servicos).map(([key, servico]) => [key, presentServico(servico, fmt)]));
+}
+
+function presentCoordinates(payload, { formato }) {
+  if (formato !== "maquina") return payload;
+  return { ...payload, latitude: Number(payload.latitude), longitude: Number(payload.longitude) };
+}
+
+const isDefault = ({ formato, idioma }) => formato === "texto" && idioma === IDIOMAS.pt;
+
+// /infra, /infra/point and batch results
+export function presentLookup(payload, fmt) {
+  if (isDefault(fmt)) return payload;
+  const out = presentCoordinates({ ...payload, servicos: presentServicos(payload.servicos, fmt) }, fmt);
+  if (payload.indice) {
+    // explicacao is a Portuguese sentence; machine clients have peso and pontos
+    const componentes = Object.fromEntries(Object.entries(payload.indice.componentes)
+      .map(([key, { explicacao, ...c }]) => [key, presentServico(fmt.formato === "maquina" ? c : { ...c, explicacao }, fmt)]));
+    out.indice = { ...payload.indice, componentes };
+  }
+  if (payload.trechos) out.trechos = payload.trechos.map(t => ({ ...t, servicos: presentServicos(t.servicos, fmt) }));
+  if (payload.servicos_proximos) out.servicos_proximos = presentServicos(payload.servicos_proximos, fmt);
+  return out;
+}
+
+export function presentProximidades(payload, fmt) {
+  return presentCoordinates(payload, fmt);
+}
+
+// /infra/area: cobertura is keyed by disponivel label, trechos carry full servicos blocks
+export function presentArea(payload, fmt) {
+  if (isDefault(fmt)) return payload;
+  const relabel = (value) => (fmt.formato === "maquina" ? STATUS_CODES[value].status : translate(value, fmt.idioma));
+  const cobertura = Object.fromEntries(Object.entries(payload.cobertura).map(([key, buckets]) => [
+    key,
+    Object.fromEntries(Object.entries(buckets).map(([value, bucket]) => [relabel(value), bucket])),
+  ]));
+  return { ...payload, cobertura, trechos: payload.trechos.map(t => ({ ...t, servicos: presentServicos(t.servicos, fmt) })) };
+}
+
+// /trechos/{id}/historico: servicos carry { disponivel, desde }
+export function presentHistorico(payload, fmt) {
+  if (isDefault(fmt)) return payload;
+  return { ...payload, servicos: presentServicos(payload.servicos, fmt) };
+}
@@ -0,0 +1,127 @@
+import Database from "better-sqlite3";
+import { createGeocoderChain } from "./geocoder.js";
+
+// Persistent geocoding cache kept in its own SQLite file, so re-running ingest
+// (which recreates infra.db) does not throw cached answers away.
+// A NULL value is a negative entry: the upstream answered "not found". Entries are kept per
+// online provider; the offline "local" provider is not cached.
+
+const CREATE_SQL = `
+CREATE TABLE IF NOT EXISTS geocode_cache (
+  kind TEXT NOT NULL,
+  key TEXT NOT NULL,
+  value TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  PRIMARY KEY (kind, key)
+);
+CREATE INDEX IF NOT EXISTS idx_geocode_cache_expires ON geocode_cache (expires_at);
+`;
+
+export function openGeocodeCache({ dbPath, ttlSeconds, negativeTtlSeconds }) {
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(CREATE_SQL);
+  db.prepare(`DELETE FROM geocode_cache WHERE expires_at <= ?`).run(Date.now());
+
+  const getStmt = db.prepare(`SELECT value, expires_at FROM geocode_cache WHERE kind = ? AND key = ?`);
+  const setStmt = db.prepare(`
+    INSERT INTO geocode_cache (kind, key, value, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(kind, key) DO UPDATE SET
+      value=excluded.value,
+      created_at=excluded.created_at,
+      expires_at=excluded.expires_at
+  `);
+  const countStmt = db.prepare(`
+    SELECT kind,
+      SUM(CASE WHEN value IS NOT NULL THEN 1 ELSE 0 END) AS positivas,
+      SUM(CASE WHEN value IS NULL THEN 1 ELSE 0 END) AS negativas
+    FROM geocode_cache
+    WHERE expires_at > ?
+    GROUP BY kind
+  `);
+
+  const counters = { hits: 0, negative_hits: 0, misses: 0, expired: 0, writes: 0 };
+
+  return {
+    // Returns undefined on miss, null on a negative hit, the stored value otherwise
+    get(kind, key) {
+      const row = getStmt.get(kind, key);
+      if (!row) { counters.misses++; return undefined; }
+      if (row.expires_at <= Date.now()) { counters.expired++; counters.misses++; return undefined; }
+      if (row.value === null) { counters.negative_hits++; return null; }
+      counters.hits++;
+      return JSON.parse(row.value);
+    },
+    set(kind, key, value) {
+      const now = Date.now();
+      const ttl = value === null ? negativeTtlSeconds : ttlSeconds;
+      setStmt.run(kind, key, value === null ? null : JSON.stringify(value), now, now + ttl * 1000);
+      counters.writes++;
+    },
+    stats() {
+      const entradas = {};
+      for (const row of countStmt.iterate(Date.now())) {
+        entradas[row.kind] = { positivas: row.positivas, negativas: row.negativas };
+      }
+      const lookups = counters.hits + counters.negative_hits + counters.misses;
+      return {
+        ...counters,
+        hit_ratio: lookups ? (counters.hits + counters.negative_hits) / lookups : null,
+        ttl_seconds: ttlSeconds,
+        negative_ttl_seconds: negativeTtlSeconds,
+        entradas,
+      };
+    },
+    close() {
+      try { db.close(); } catch (_) {}
+    },
+  };
+}
+
+function addressKey(address) {
+  return [address.logradouro, address.localidade, address.uf]
+    .map(v => (v || "").toString().trim().toLowerCase())
+    .join("|");
+}
+
+// Caches the answers of one online provider, keyed by provider; null ("not found") is a
+// negative entry. Upstream failures are never cached.
+function withProviderCache(provider, cache) {
+  const cached = { ...provider };
+  if (provider.lookupCep) {
+    cached.lookupCep = async (cep) => {
+      const key = `${provider.name}|${cep}`;
+      const hit = cache.get("cep", key);
+      if (hit !== undefined) return hit;
+      const address = await provider.lookupCep(cep);
+      cache.set("cep", key, address || null);
+      return address;
+    };
+  }
+  if (provider.geocode) {
+    cached.geocode = async (address) => {
+      const key = `${provider.name}|${addressKey(address)}`;
+      const hit = cache.get("endereco", key);
+      if (hit !== undefined) return hit;
+      const point = await provider.geocode(address);
+      cache.set("endereco", key, point || null);
+      return point;
+    };
+  }
+  return cached;
+}
+
+// Rebuilds a geocoder chain with the online providers behind the cache. Offline providers
+// answer from infra.db, which every ingest replaces, so they are asked directly each time.
+export function withGeocodeCache(geocoder, cache) {
+  const chain = createGeocoderChain(geocoder.providers.map(p => (p.offline ? p : withProviderCache(p, cache))));
+  return {
+    ...chain,
+    close() {
+      geocoder.close?.();
+      cache.close();
+    },
+  };
+}
@@ -0,0 +1,158 @@
+import Database from "better-sqlite3";
+import { createUpstreamClient } from "./upstream.js";
+
+// Geocoder providers. Each provider may implement either or both of:
+//   lookupCep(cep)    -> { logradouro, bairro, localidade, uf, lon?, lat? } | null
+//   geocode(address)  -> { lon, lat, precisao } | null
+// `precisao` is "cep" for a CEP centroid and "logradouro" for a street-level point.
+// Returning null means "no answer here" so the chain can fall through to the next provider.
+// Online providers also expose circuito() (see upstream.js); `upstream` holds the client options.
+
+export function createViaCepProvider({ upstream = {}, viacepUrl = "https://viacep.com.br" } = {}) {
+  const client = createUpstreamClient({ ...upstream, name: "viacep" });
+  return {
+    name: "viacep",
+    async lookupCep(cep) {
+      const data = await client.getJson(`${viacepUrl}/ws/${cep}/json/`);
+      if (data.erro) return null;
+      return data;
+    },
+    circuito: () => client.circuito(),
+  };
+}
+
+export function createNominatimProvider({ upstream = {}, nominatimUrl = "https://nominatim.openstreetmap.org" } = {}) {
+  const client = createUpstreamClient({ ...upstream, name: "nominatim" });
+  return {
+    name: "nominatim",
+    async geocode(address) {
+      const query = `${address.logradouro || ""}, ${address.localidade || ""}, ${address.uf || ""}, Brasil`;
+      const url = `${nominatimUrl}/search?q=${encodeURIComponent(query)}&format=json&limit=1`;
+      const res = await client.getJson(url, { headers: { "User-Agent": "bh-infra-api" } });
+      if (!Array.isArray(res) || !res.length) return null;
+      return { lon: parseFloat(res[0].lon), lat: parseFloat(res[0].lat), precisao: "logradouro" };
+    },
+    circuito: () => client.circuito(),
+  };
+}
+
+// Offline provider backed by the `cep` table that ingest_sqlite.js loads into infra.db
+export function createLocalCepProvider({ dbPath }) {
+  let db = null;
+  let stmts = null;
+
+  const open = () => {
+    if (stmts) return stmts;
+    db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    const hasTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'cep'`).get();
+    if (!hasTable) {
+      stmts = { byCep: null, byStreet: null };
+      return stmts;
+    }
+    stmts = {
+      byCep: db.prepare(`SELECT cep, logradouro, bairro, localidade, uf, lat, lon FROM cep WHERE cep = ?`),
+      byStreet: db.prepare(`
+        SELECT AVG(lat) AS lat, AVG(lon) AS lon
+        FROM cep
+        WHERE logradouro = ? COLLATE NOCASE AND localidade = ? COLLATE NOCASE
+          AND lat IS NOT NULL AND lon IS NOT NULL
+      `),
+    };
+    return stmts;
+  };
+
+  return {
+    name: "local",
+    // Answers come from infra.db and change with each ingest: never cached
+    offline: true,
+    async lookupCep(cep) {
+      const { byCep } = open();
+      if (!byCep) return null;
+      const row = byCep.get(cep);
+      if (!row) return null;
+      const address = { cep: row.cep, logradouro: row.logradouro || "", bairro: row.bairro || "", localidade: row.localidade || "", uf: row.uf || "" };
+      if (Number.isFinite(row.lon) && Number.isFinite(row.lat)) Object.assign(address, { lon: row.lon, lat: row.lat, precisao: "cep" });
+      return address;
+    },
+    async geocode(address) {
+      const { byStreet } = open();
+      if (!byStreet || !address.logradouro) return null;
+      const row = byStreet.get(address.logradouro, address.localidade || "");
+      if (!row || !Number.isFinite(row.lon) || !Number.isFinite(row.lat)) return null;
+      return { lon: row.lon, lat: row.lat, precisao: "logradouro" };
+    },
+    // Drops the connection so the next lookup opens the current infra.db (after a hot reload)
+    reopen() {
+      try { db?.close(); } catch (_) {}
+      db = null;
+      stmts = null;
+    },
+    close() {
+      this.reopen();
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  local: createLocalCepProvider,
+  viacep: createViaCepProvider,
+  nominatim: createNominatimProvider,
+};
+
+// names: comma-separated list (e.g. "local,viacep,nominatim"), tried in order
+export function createProvidersFromConfig(names, options = {}) {
+  return String(names || "")
+    .split(",")
+    .map(n => n.trim().toLowerCase())
+    .filter(Boolean)
+    .map((n) => {
+      const factory = PROVIDER_FACTORIES[n];
+      if (!factory) throw new Error(`Geocoder desconhecido: ${n}`);
+      return factory(options);
+    });
+}
+
+// Tries each provider in order. Provider failures (network, parse) are skipped;
+// if nobody answers and some provider failed, the last failure is rethrown.
+export function createGeocoderChain(providers) {
+  async function firstAnswer(method, arg) {
+    let lastError = null;
+    for (const provider of providers) {
+      if (typeof provider[method] !== "function") continue;
+      try {
+        const answer = await provider[method](arg);
+        if (answer) return { answer, provider };
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    if (lastError) throw lastError;
+    return null;
+  }
+
+  return {
+    providers,
+    async lookupCep(cep) {
+      const found = await firstAnswer("lookupCep", cep);
+      if (!found) throw Object.assign(new Error("CEP não encontrado"), { status: 404, code: "CEP_NAO_ENCONTRADO" });
+      return { ...found.answer, fonte: found.provider.name };
+    },
+    async geocode(address) {
+      // Providers with a CEP centroid already answered in lookupCep
+      if (Number.isFinite(address.lon) && Number.isFinite(address.lat)) {
+        return { lon: address.lon, lat: address.lat, fonte: address.fonte, precisao: address.precisao || null };
+      }
+      const found = await firstAnswer("geocode", address);
+      if (!found || !Number.isFinite(found.answer.lon) || !Number.isFinite(found.answer.lat)) {
+        throw Object.assign(new Error("Geocodificação não encontrada"), { status: 404, code: "GEOCODE_NAO_ENCONTRADO" });
+      }
+      return { lon: found.answer.lon, lat: found.answer.lat, fonte: found.provider.name, precisao: found.answer.precisao || null };
+    },
+    reopen() {
+      for (const p of providers) p.reopen?.();
+    },
+    close() {
+      for (const p of providers) p.close?.();
+    },
+  };
+}
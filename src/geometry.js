@@ -0,0 +1,267 @@
+// Geometry helpers over GeoJSON geometries in EPSG:31983 (planar meters).
+
+export function computeGeometryBBox(geometry) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const consider = (coords) => {
+    for (const c of coords) {
+      if (!Array.isArray(c) || c.length < 2) continue;
+      const x = c[0];
+      const y = c[1];
+      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  };
+  if (!geometry) return null;
+  if (geometry.type === "Point") {
+    consider([geometry.coordinates || []]);
+  } else if (geometry.type === "LineString" || geometry.type === "MultiPoint") {
+    consider(geometry.coordinates || []);
+  } else if (geometry.type === "MultiLineString" || geometry.type === "Polygon") {
+    for (const ls of geometry.coordinates || []) consider(ls || []);
+  } else if (geometry.type === "MultiPolygon") {
+    for (const poly of geometry.coordinates || []) for (const ring of poly || []) consider(ring || []);
+  } else {
+    return null;
+  }
+  if (!Number.isFinite(minX) || !Number.isFinite(minY) || !Number.isFinite(maxX) || !Number.isFinite(maxY)) return null;
+  return [minX, minY, maxX, maxY];
+}
+
+// Distance helpers (planar, EPSG:31983 meters)
+function pointToSegmentDistance(px, py, x1, y1, x2, y2) {
+  const apx = px - x1;
+  const apy = py - y1;
+  const abx = x2 - x1;
+  const aby = y2 - y1;
+
+  const ab2 = abx * abx + aby * aby;
+  if (ab2 === 0) {
+    const dx = px - x1;
+    const dy = py - y1;
+    return { dist: Math.hypot(dx, dy), cx: x1, cy: y1 };
+  }
+
+  let t = (apx * abx + apy * aby) / ab2;
+  if (t < 0) t = 0; else if (t > 1) t = 1;
+  const cx = x1 + t * abx;
+  const cy = y1 + t * aby;
+  const dx = px - cx;
+  const dy = py - cy;
+  return { dist: Math.hypot(dx, dy), cx, cy };
+}
+
+function pointToLineStringDistance(pointXY, line) {
+  let minDist = Infinity;
+  for (let i = 0; i < line.length - 1; i++) {
+    const [x1, y1] = line[i];
+    const [x2, y2] = line[i + 1];
+    const { dist } = pointToSegmentDistance(pointXY[0], pointXY[1], x1, y1, x2, y2);
+    if (dist < minDist) minDist = dist;
+  }
+  return minDist;
+}
+
+function validCoords(coords) {
+  return (coords || []).filter(c => Array.isArray(c) && c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]));
+}
+
+// Ray casting; ring is a closed list of [x, y]
+function pointInRing([px, py], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// rings[0] is the outer boundary, the others are holes
+function pointInPolygon(pointXY, rings) {
+  const [outer, ...holes] = (rings || []).map(validCoords);
+  if (!outer || outer.length < 3 || !pointInRing(pointXY, outer)) return false;
+  return !holes.some(h => h.length >= 3 && pointInRing(pointXY, h));
+}
+
+export function pointInGeometry(pointXY, geometry) {
+  if (!geometry) return false;
+  if (geometry.type === "Polygon") return pointInPolygon(pointXY, geometry.coordinates);
+  if (geometry.type === "MultiPolygon") return (geometry.coordinates || []).some(p => pointInPolygon(pointXY, p));
+  return false;
+}
+
+function pointToRingsDistance(pointXY, rings) {
+  let best = Infinity;
+  for (const ring of rings || []) {
+    const coords = validCoords(ring);
+    if (coords.length < 2) continue;
+    const d = pointToLineStringDistance(pointXY, coords);
+    if (d < best) best = d;
+  }
+  return best;
+}
+
+// Distance in meters (EPSG:31983) from a point to any geometry; 0 inside polygons
+export function computeGeometryMinDistance(pointXY, geometry) {
+  if (!geometry) return Infinity;
+  if (geometry.type === "Point") {
+    const [c] = validCoords([geometry.coordinates]);
+    return c ? Math.hypot(pointXY[0] - c[0], pointXY[1] - c[1]) : Infinity;
+  }
+  if (geometry.type === "MultiPoint") {
+    let best = Infinity;
+    for (const c of validCoords(geometry.coordinates)) best = Math.min(best, Math.hypot(pointXY[0] - c[0], pointXY[1] - c[1]));
+    return best;
+  }
+  if (geometry.type === "LineString" && Array.isArray(geometry.coordinates)) {
+    const coords = validCoords(geometry.coordinates);
+    if (coords.length < 2) return Infinity;
+    return pointToLineStringDistance(pointXY, coords);
+  }
+  if (geometry.type === "MultiLineString" && Array.isArray(geometry.coordinates)) {
+    return pointToRingsDistance(pointXY, geometry.coordinates);
+  }
+  if (geometry.type === "Polygon") {
+    return pointInPolygon(pointXY, geometry.coordinates) ? 0 : pointToRingsDistance(pointXY, geometry.coordinates);
+  }
+  if (geometry.type === "MultiPolygon") {
+    let best = Infinity;
+    for (const poly of geometry.coordinates || []) {
+      const d = pointInPolygon(pointXY, poly) ? 0 : pointToRingsDistance(pointXY, poly);
+      if (d < best) best = d;
+    }
+    return best;
+  }
+  return Infinity;
+}
+
+export function computeGeometryLength(geometry) {
+  if (!geometry) return 0;
+  const lineLength = (coords) => {
+    let total = 0;
+    for (let i = 0; i < (coords || []).length - 1; i++) {
+      const a = coords[i];
+      const b = coords[i + 1];
+      if (!Array.isArray(a) || !Array.isArray(b)) continue;
+      const d = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      if (Number.isFinite(d)) total += d;
+    }
+    return total;
+  };
+  if (geometry.type === "LineString") return lineLength(geometry.coordinates);
+  if (geometry.type === "MultiLineString") return (geometry.coordinates || []).reduce((sum, ls) => sum + lineLength(ls), 0);
+  return 0;
+}
+
+function lineStrings(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "LineString") return [validCoords(geometry.coordinates)];
+  if (geometry.type === "MultiLineString") return (geometry.coordinates || []).map(validCoords);
+  return [];
+}
+
+function polygonRings(geometry) {
+  if (geometry?.type === "Polygon") return (geometry.coordinates || []).map(validCoords);
+  if (geometry?.type === "MultiPolygon") return (geometry.coordinates || []).flatMap(p => (p || []).map(validCoords));
+  return [];
+}
+
+// Segments of a (multi)line or (multi)polygon; with countSamples, the cost of the length functions below
+export function countSegments(geometry) {
+  return [...lineStrings(geometry), ...polygonRings(geometry)].reduce((n, part) => n + Math.max(0, part.length - 1), 0);
+}
+
+// Sample points lengthWithinDistance takes along a (multi)line
+export function countSamples(lineGeometry, step = 5) {
+  let samples = 0;
+  for (const line of lineStrings(lineGeometry)) {
+    for (let i = 0; i < line.length - 1; i++) {
+      samples += Math.max(1, Math.ceil(Math.hypot(line[i + 1][0] - line[i][0], line[i + 1][1] - line[i][1]) / step));
+    }
+  }
+  return samples;
+}
+
+// Point [x, y] at `fraction` (0..1) of a (multi)line's length, walking its parts in order; null without a line
+export function pointAlongLine(geometry, fraction) {
+  const lines = lineStrings(geometry).filter(line => line.length >= 2);
+  if (!lines.length) return null;
+  const total = lines.reduce((sum, line) => sum + computeGeometryLength({ type: "LineString", coordinates: line }), 0);
+  let remaining = Math.min(Math.max(fraction, 0), 1) * total;
+  for (const line of lines) {
+    for (let i = 0; i < line.length - 1; i++) {
+      const [ax, ay] = line[i];
+      const [bx, by] = line[i + 1];
+      const length = Math.hypot(bx - ax, by - ay);
+      if (remaining <= length) {
+        const t = length ? remaining / length : 0;
+        return [ax + (bx - ax) * t, ay + (by - ay) * t];
+      }
+      remaining -= length;
+    }
+  }
+  const last = lines[lines.length - 1];
+  return [...last[last.length - 1]].slice(0, 2);
+}
+
+// Parameter t (0..1) along AB where it crosses segment CD, or null
+function segmentCrossing([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+  const rx = bx - ax, ry = by - ay, sx = dx - cx, sy = dy - cy;
+  const denom = rx * sy - ry * sx;
+  if (denom === 0) return null;
+  const t = ((cx - ax) * sy - (cy - ay) * sx) / denom;
+  const u = ((cx - ax) * ry - (cy - ay) * rx) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Length in meters of a (multi)line inside a (multi)polygon: each segment is split where it
+// crosses a ring and the pieces whose midpoint is inside are summed
+export function lengthInsidePolygon(lineGeometry, polygonGeometry) {
+  const rings = polygonRings(polygonGeometry);
+  let total = 0;
+  for (const line of lineStrings(lineGeometry)) {
+    for (let i = 0; i < line.length - 1; i++) {
+      const a = line[i];
+      const b = line[i + 1];
+      const ts = [0, 1];
+      for (const ring of rings) {
+        for (let j = 0; j < ring.length - 1; j++) {
+          const t = segmentCrossing(a, b, ring[j], ring[j + 1]);
+          if (t !== null) ts.push(t);
+        }
+      }
+      ts.sort((p, q) => p - q);
+      const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      for (let k = 0; k < ts.length - 1; k++) {
+        if (ts[k + 1] === ts[k]) continue;
+        const tm = (ts[k] + ts[k + 1]) / 2;
+        const mid = [a[0] + (b[0] - a[0]) * tm, a[1] + (b[1] - a[1]) * tm];
+        if (pointInGeometry(mid, polygonGeometry)) total += (ts[k + 1] - ts[k]) * length;
+      }
+    }
+  }
+  return total;
+}
+
+// Length in meters of a (multi)line within `distance` of another geometry (a corridor buffer).
+// Segments are cut into pieces of at most `step` meters, each counted by its midpoint.
+export function lengthWithinDistance(lineGeometry, targetGeometry, distance, step = 5) {
+  let total = 0;
+  for (const line of lineStrings(lineGeometry)) {
+    for (let i = 0; i < line.length - 1; i++) {
+      const [ax, ay] = line[i];
+      const [bx, by] = line[i + 1];
+      const length = Math.hypot(bx - ax, by - ay);
+      const pieces = Math.max(1, Math.ceil(length / step));
+      for (let k = 0; k < pieces; k++) {
+        const tm = (k + 0.5) / pieces;
+        const mid = [ax + (bx - ax) * tm, ay + (by - ay) * tm];
+        if (computeGeometryMinDistance(mid, targetGeometry) <= distance) total += length / pieces;
+      }
+    }
+  }
+  return total;
+}
@@ -0,0 +1,99 @@
+import Database from "better-sqlite3";
+
+// Queries over the snapshot/trecho_historico tables written by ingest_sqlite.js.
+// trecho_historico only holds changes, so the state at a date is the latest row
+// at or before it for each (trecho, campo).
+
+function hasHistory(db) {
+  return !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'trecho_historico'`).get();
+}
+
+export function withHistoryDb(dbPath, fn) {
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+  try {
+    if (!hasHistory(db)) throw Object.assign(new Error("Base sem histórico de snapshots; rode o ingest novamente"), { status: 404, code: "HISTORICO_INDISPONIVEL" });
+    return fn(db);
+  } finally {
+    try { db.close(); } catch (_) {}
+  }
+}
+
+export function listSnapshots(db) {
+  return db.prepare(`
+    SELECT s.data, s.arquivos, s.ingested_at, COUNT(h.id_base_trecho) AS alteracoes
+    FROM snapshot s
+    LEFT JOIN trecho_historico h ON h.snapshot_data = s.data
+    GROUP BY s.data
+    ORDER BY s.data
+  `).all().map(r => ({ ...r, arquivos: JSON.parse(r.arquivos || "[]") }));
+}
+
+// { campo: [{ data, valor }] } in chronological order
+export function trechoHistory(db, id) {
+  const campos = {};
+  const rows = db.prepare(`
+    SELECT campo, snapshot_data AS data, valor
+    FROM trecho_historico
+    WHERE id_base_trecho = ?
+    ORDER BY campo, snapshot_data
+  `).all(id);
+  for (const { campo, data, valor } of rows) {
+    (campos[campo] || (campos[campo] = [])).push({ data, valor });
+  }
+  return campos;
+}
+
+function stateAt(db, data) {
+  const state = new Map(); // id -> { campo: valor }
+  const rows = db.prepare(`
+    SELECT h.id_base_trecho, h.campo, h.valor
+    FROM trecho_historico h
+    JOIN (
+      SELECT id_base_trecho, campo, MAX(snapshot_data) AS ultima
+      FROM trecho_historico
+      WHERE snapshot_data <= ?
+      GROUP BY id_base_trecho, campo
+    ) l ON l.id_base_trecho = h.id_base_trecho AND l.campo = h.campo AND l.ultima = h.snapshot_data
+    WHERE NULLIF(h.valor, '') IS NOT NULL
+  `);
+  for (const { id_base_trecho, campo, valor } of rows.iterate(data)) {
+    if (!state.has(id_base_trecho)) state.set(id_base_trecho, {});
+    state.get(id_base_trecho)[campo] = valor;
+  }
+  return state;
+}
+
+// Segments added, removed or changed between two snapshot dates (de < para)
+export function diffSnapshots(db, de, para, { limite = 1000 } = {}) {
+  const before = stateAt(db, de);
+  const after = stateAt(db, para);
+
+  const adicionados = [];
+  const removidos = [];
+  const alterados = [];
+  for (const [id, fields] of after) {
+    const old = before.get(id);
+    if (!old) { adicionados.push(id); continue; }
+    const campos = {};
+    for (const campo of new Set([...Object.keys(old), ...Object.keys(fields)])) {
+      const a = old[campo] ?? null;
+      const b = fields[campo] ?? null;
+      if (a !== b) campos[campo] = { de: a, para: b };
+    }
+    if (Object.keys(campos).length) alterados.push({ id_base_trecho: id, campos });
+  }
+  for (const id of before.keys()) {
+    if (!after.has(id)) removidos.push(id);
+  }
+
+  const cut = (list) => list.sort((a, b) => String(a.id_base_trecho ?? a).localeCompare(String(b.id_base_trecho ?? b))).slice(0, limite);
+  return {
+    de,
+    para,
+    totais: { adicionados: adicionados.length, removidos: removidos.length, alterados: alterados.length },
+    adicionados: cut(adicionados),
+    removidos: cut(removidos),
+    alterados: cut(alterados),
+    truncado: Math.max(adicionados.length, removidos.length, alterados.length) > limite,
+  };
+}
@@ -0,0 +1,57 @@
+import fs from "fs";
+import { SERVICE_KEYS } from "./servicos.js";
+
+// Infrastructure score (0-100) from the `servicos` block, configured in indice.json (or INDICE_CONFIG):
+//   pesos    service key -> weight; weights are normalized to sum 100, services left out do not count
+//   fatores  disponivel value -> share of the weight earned (0 to 1); "não informado" is scored
+//            apart from "Não" so missing data costs less than a known absence
+
+const DEFAULT_CONFIG = new URL("../indice.json", import.meta.url).pathname;
+const DISPONIVEL_VALUES = ["Sim", "Não", "não informado", "não encontrado"];
+
+function fail(message) {
+  throw new Error(`indice: ${message}`);
+}
+
+export function loadIndiceConfig(configPath = process.env.INDICE_CONFIG || DEFAULT_CONFIG) {
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const pesos = Object.entries(raw.pesos || {});
+  for (const [key, peso] of pesos) {
+    if (!SERVICE_KEYS.includes(key)) fail(`unknown service ${key} in pesos (known: ${SERVICE_KEYS.join(", ")})`);
+    if (!Number.isFinite(peso) || peso < 0) fail(`weight of ${key} must be a non-negative number`);
+  }
+  const totalPeso = pesos.reduce((sum, [, peso]) => sum + peso, 0);
+  if (totalPeso <= 0) fail("pesos must add up to more than 0");
+  const fatores = raw.fatores || {};
+  for (const value of DISPONIVEL_VALUES) {
+    const fator = fatores[value];
+    if (!Number.isFinite(fator) || fator < 0 || fator > 1) fail(`fatores["${value}"] must be between 0 and 1`);
+  }
+  return {
+    pesos: pesos.filter(([, peso]) => peso > 0).map(([key, peso]) => ({ key, peso: (peso / totalPeso) * 100 })),
+    fatores,
+  };
+}
+
+export const INDICE_CONFIG = loadIndiceConfig();
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// servicos: the block from buildServicos. Each component explains how many points it earned.
+export function computeIndice(servicos, config = INDICE_CONFIG) {
+  let valor = 0;
+  const componentes = {};
+  for (const { key, peso } of config.pesos) {
+    const disponivel = servicos[key]?.disponivel ?? "não encontrado";
+    const fator = config.fatores[disponivel] ?? 0;
+    const pontos = peso * fator;
+    valor += pontos;
+    componentes[key] = {
+      disponivel,
+      peso: round1(peso),
+      pontos: round1(pontos),
+      explicacao: `${disponivel}: ${round1(pontos)} de ${round1(peso)} pontos (${Math.round(fator * 100)}% do peso)`,
+    };
+  }
+  return { valor: round1(valor), escala: "0-100", componentes };
+}
@@ -0,0 +1,164 @@
+import { computeGeometryBBox } from "./geometry.js";
+
+// Data quality checks collected while ingest_sqlite.js reads the CSVs.
+// Each check keeps a count and a few sample ids/values to make the report actionable.
+
+// Values mapIndicatorToDisponivel understands (plus empty = "não informado")
+const KNOWN_INDICATOR_VALUES = new Set(["S", "SIM", "Y", "1", "TRUE", "N", "NAO", "NÃO", "0", "FALSE", ""]);
+
+// Belo Horizonte municipal extent in EPSG:31983, with a ~1 km margin
+export const BH_EXTENT = [596000, 7780000, 622000, 7815000];
+
+const MAX_SAMPLES = 10;
+
+// Checks that count as problems for strict mode, relative to the file's row count
+export const FILE_CHECKS = ["sem_id", "erros", "geometria_invalida", "fora_de_bh", "indicador_desconhecido", "duplicado_conflitante", "data_invalida"];
+
+function createCheck() {
+  return { quantidade: 0, exemplos: [] };
+}
+
+function hit(check, sample) {
+  check.quantidade++;
+  if (check.exemplos.length < MAX_SAMPLES && sample !== undefined && !check.exemplos.includes(sample)) check.exemplos.push(sample);
+}
+
+export function createFileStats(file) {
+  const checks = {};
+  for (const name of [...FILE_CHECKS, "sem_geometria", "duplicado_identico", "duplicado_mesclado"]) checks[name] = createCheck();
+  return {
+    arquivo: file,
+    linhas: 0,
+    processadas: 0,
+    checks,
+    valores_desconhecidos: {}, // column -> { value: count }
+    signatures: new Map(), // id -> data values merged so far, for duplicate detection
+  };
+}
+
+export function recordRow(stats) {
+  stats.linhas++;
+}
+
+export function recordMissingId(stats) {
+  hit(stats.checks.sem_id, stats.linhas);
+}
+
+export function recordError(stats, id, err) {
+  hit(stats.checks.erros, `${id || `linha ${stats.linhas}`}: ${err?.message || err}`);
+}
+
+// wkt: raw WKT string, geo: parsed GeoJSON (null when parsing failed)
+export function recordGeometry(stats, id, wkt, geo) {
+  if (!wkt) { hit(stats.checks.sem_geometria, id); return; }
+  if (!geo) { hit(stats.checks.geometria_invalida, id); return; }
+  const bbox = computeGeometryBBox(geo);
+  if (!bbox) return;
+  const [minX, minY, maxX, maxY] = bbox;
+  if (minX < BH_EXTENT[0] || minY < BH_EXTENT[1] || maxX > BH_EXTENT[2] || maxY > BH_EXTENT[3]) {
+    hit(stats.checks.fora_de_bh, id);
+  }
+}
+
+export function recordIndicator(stats, id, column, value) {
+  if (KNOWN_INDICATOR_VALUES.has(value.toUpperCase())) return;
+  hit(stats.checks.indicador_desconhecido, id);
+  const counts = stats.valores_desconhecidos[column] || (stats.valores_desconhecidos[column] = {});
+  counts[value] = (counts[value] || 0) + 1;
+}
+
+// Dates the "latest" merge cannot compare; they are stored as NULL so the previous date is kept
+export function recordInvalidDate(stats, id, column, value) {
+  hit(stats.checks.data_invalida, `${id}: ${column}=${value}`);
+}
+
+const isEmpty = (v) => v === "" || v == null;
+
+// A repeated id is merged like the upserts do, with merges[i] the rule of values[i] (feature
+// layers overwrite). It only conflicts when two non-empty values differ and the rule cannot
+// choose between them; a "latest" column keeps the greatest date.
+export function recordDataValues(stats, id, values, merges = []) {
+  const previous = stats.signatures.get(id);
+  if (previous === undefined) {
+    stats.signatures.set(id, values);
+    return;
+  }
+  let identico = true;
+  let conflitante = false;
+  const merged = values.map((v, i) => {
+    const before = previous[i];
+    if (v === before) return v;
+    identico = false;
+    const merge = merges[i] || "overwrite";
+    if (isEmpty(v)) return merge === "overwrite" ? v : before;
+    if (isEmpty(before)) return v;
+    if (merge === "latest") return v > before ? v : before;
+    conflitante = true;
+    return v;
+  });
+  stats.signatures.set(id, merged);
+  hit(identico ? stats.checks.duplicado_identico : conflitante ? stats.checks.duplicado_conflitante : stats.checks.duplicado_mesclado, id);
+}
+
+export function finishFileStats(stats) {
+  const { signatures, ...rest } = stats;
+  return { ...rest, trechos_distintos: signatures.size };
+}
+
+// Builds the final report; limits: { maxRatio } applies to every file check and
+// to the share of trechos with data but no geometry.
+export function buildQualityReport({ generatedAt, files, semGeometria, totalTrechos, maxRatio }) {
+  const violacoes = [];
+  for (const f of files) {
+    for (const name of FILE_CHECKS) {
+      const { quantidade } = f.checks[name];
+      const ratio = f.linhas ? quantidade / f.linhas : 0;
+      if (quantidade > 0 && ratio > maxRatio) violacoes.push({ arquivo: f.arquivo, verificacao: name, quantidade, proporcao: ratio });
+    }
+  }
+  const ratioSemGeometria = totalTrechos ? semGeometria.quantidade / totalTrechos : 0;
+  if (semGeometria.quantidade > 0 && ratioSemGeometria > maxRatio) {
+    violacoes.push({ arquivo: "*", verificacao: "dados_sem_geometria", quantidade: semGeometria.quantidade, proporcao: ratioSemGeometria });
+  }
+  return {
+    generated_at: generatedAt,
+    limite_proporcao: maxRatio,
+    arquivos: files,
+    banco: { trechos: totalTrechos, dados_sem_geometria: semGeometria },
+    violacoes,
+  };
+}
+
+export function collectDataWithoutGeometry(db) {
+  const check = createCheck();
+  const rows = db.prepare(`
+    SELECT d.id_base_trecho FROM trecho_data d
+    LEFT JOIN trecho_geom g ON g.id_base_trecho = d.id_base_trecho
+    WHERE g.id_base_trecho IS NULL
+  `).pluck();
+  for (const id of rows.iterate()) hit(check, id);
+  return check;
+}
+
+export function writeQualityTable(db, report) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS quality_report (
+      arquivo TEXT NOT NULL,
+      verificacao TEXT NOT NULL,
+      quantidade INTEGER NOT NULL,
+      exemplos TEXT,
+      PRIMARY KEY (arquivo, verificacao)
+    );
+  `);
+  const insert = db.prepare(`INSERT OR REPLACE INTO quality_report (arquivo, verificacao, quantidade, exemplos) VALUES (?, ?, ?, ?)`);
+  db.transaction(() => {
+    for (const f of report.arquivos) {
+      insert.run(f.arquivo, "linhas", f.linhas, null);
+      for (const [name, check] of Object.entries(f.checks)) insert.run(f.arquivo, name, check.quantidade, JSON.stringify(check.exemplos));
+      for (const [column, counts] of Object.entries(f.valores_desconhecidos)) {
+        insert.run(f.arquivo, `valores_desconhecidos:${column}`, Object.values(counts).reduce((a, b) => a + b, 0), JSON.stringify(counts));
+      }
+    }
+    insert.run("*", "dados_sem_geometria", report.banco.dados_sem_geometria.quantidade, JSON.stringify(report.banco.dados_sem_geometria.exemplos));
+  })();
+}
@@ -0,0 +1,184 @@
+import { pointAlongLine } from "./geometry.js";
+import { toWgs84 } from "./crs.js";
+
+// Street names and numbering per trecho (the "logradouro" entry of datasets.json), for the
+// GET /logradouros autocomplete and /infra?logradouro=&numero= lookups. A number is placed on
+// the segment whose range on either side holds it, by linear interpolation along the
+// geometry: numbers are taken to grow from num_inicial to num_final in the direction the
+// segment is drawn. Without the dataset every street lookup answers LOGRADOURO_NAO_ENCONTRADO.
+
+// Abbreviated street types, in PBH's codes and in common use, with the name they display as
+const TIPOS = {
+  AV: "AVENIDA", AVE: "AVENIDA", R: "RUA", AL: "ALAMEDA", ALA: "ALAMEDA", PC: "PRAÇA", PCA: "PRAÇA",
+  PRC: "PRAÇA", TV: "TRAVESSA", TRV: "TRAVESSA", BC: "BECO", BEC: "BECO", ROD: "RODOVIA",
+  EST: "ESTRADA", VDT: "VIADUTO", LGO: "LARGO",
+};
+
+// Uppercase, no accents, no punctuation, single spaces: the form names are compared in
+export function foldStreetName(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, " ")
+    .trim();
+}
+
+function expandTipo(raw) {
+  const tipo = String(raw ?? "").trim();
+  return TIPOS[foldStreetName(tipo)] || tipo;
+}
+
+function parseNumero(raw) {
+  const n = Number(String(raw ?? "").trim());
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// Numbered sides of a trecho: [{ lado, inicial, final }]
+function sidesOf(item) {
+  const sides = [];
+  for (const [lado, suffix] of [["esquerdo", "esq"], ["direito", "dir"]]) {
+    const inicial = parseNumero(item[`num_inicial_${suffix}`]);
+    const final = parseNumero(item[`num_final_${suffix}`]);
+    if (inicial !== null && final !== null) sides.push({ lado, inicial, final });
+  }
+  return sides;
+}
+
+// One entry per street (cod_logradouro, or the name when the code is missing), streets in
+// alphabetical order; byName maps the folded full name and the folded name without type
+export function buildStreetIndex(items) {
+  const byKey = new Map();
+  items.forEach((item, i) => {
+    const nome = String(item.nome_logradouro ?? "").trim();
+    if (!nome) return;
+    const tipo = expandTipo(item.tipo_logradouro);
+    const logradouro = [tipo, nome].filter(Boolean).join(" ");
+    const codigo = String(item.cod_logradouro ?? "").trim() || null;
+    const key = codigo || foldStreetName(logradouro);
+    let rua = byKey.get(key);
+    if (!rua) {
+      const chave = foldStreetName(logradouro);
+      rua = { codigo, logradouro, tipo, nome, chave, chaveNome: foldStreetName(nome), palavras: chave.split(" "), trechos: [], numeracao: null };
+      byKey.set(key, rua);
+    }
+    rua.trechos.push(i);
+    for (const { inicial, final } of sidesOf(item)) {
+      const lo = Math.min(inicial, final);
+      const hi = Math.max(inicial, final);
+      rua.numeracao = rua.numeracao
+        ? { inicial: Math.min(rua.numeracao.inicial, lo), final: Math.max(rua.numeracao.final, hi) }
+        : { inicial: lo, final: hi };
+    }
+  });
+
+  const ruas = [...byKey.values()].sort((a, b) => a.logradouro.localeCompare(b.logradouro, "pt-BR"));
+  const byName = new Map();
+  const byCodigo = new Map();
+  for (const rua of ruas) {
+    for (const name of new Set([rua.chave, rua.chaveNome])) {
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(rua);
+    }
+    if (rua.codigo) byCodigo.set(rua.codigo, rua);
+  }
+  return { ruas, byName, byCodigo };
+}
+
+function publicStreet(rua) {
+  return { codigo: rua.codigo, logradouro: rua.logradouro, tipo: rua.tipo || null, nome: rua.nome, numeracao: rua.numeracao, trechos: rua.trechos.length };
+}
+
+// Query words; the first one may be an abbreviated type ("av afonso"), matched either way
+function queryWords(q) {
+  const words = foldStreetName(q).split(" ").filter(Boolean);
+  return words.map((prefixo, i) => ({ prefixo, tipo: i === 0 && TIPOS[prefixo] ? foldStreetName(TIPOS[prefixo]) : null }));
+}
+
+// Streets whose words start with every word of q; names starting with q first, then alphabetical
+export function searchStreets(streetIndex, q, limit) {
+  const words = queryWords(q);
+  if (!words.length) return { total: 0, logradouros: [] };
+  const prefix = words.map(w => w.prefixo).join(" ");
+  const expanded = words.map(w => w.tipo || w.prefixo).join(" ");
+  const found = [];
+  for (const rua of streetIndex.ruas) {
+    if (!words.every(({ prefixo, tipo }) => rua.palavras.some(p => p.startsWith(prefixo) || p === tipo))) continue;
+    const rank = rua.chaveNome.startsWith(prefix) || rua.chave.startsWith(prefix) || rua.chave.startsWith(expanded) ? 0 : 1;
+    found.push({ rank, rua });
+  }
+  // sort is stable, so each rank keeps the alphabetical order of ruas
+  found.sort((a, b) => a.rank - b.rank);
+  return { total: found.length, logradouros: found.slice(0, limit).map(({ rua }) => publicStreet(rua)) };
+}
+
+function findStreets(streetIndex, { logradouro, codigo }) {
+  if (codigo) {
+    const rua = streetIndex.byCodigo.get(codigo);
+    return rua ? [rua] : [];
+  }
+  const words = queryWords(logradouro);
+  const raw = words.map(w => w.prefixo).join(" ");
+  const expanded = words.map(w => w.tipo || w.prefixo).join(" ");
+  return streetIndex.byName.get(expanded) || streetIndex.byName.get(raw) || [];
+}
+
+// Side of a trecho of `rua` whose range holds numero, preferring the side of the same parity
+function locateNumber(trechoData, rua, numero) {
+  let best = null;
+  for (const i of rua.trechos) {
+    const item = trechoData.items[i];
+    for (const side of sidesOf(item)) {
+      if (numero < Math.min(side.inicial, side.final) || numero > Math.max(side.inicial, side.final)) continue;
+      const paridade = side.inicial % 2 === side.final % 2 ? side.inicial % 2 : null;
+      const score = paridade === null ? 1 : numero % 2 === paridade ? 0 : 2;
+      if (!best || score < best.score) best = { score, item, ...side };
+      if (score === 0) return best;
+    }
+  }
+  return best;
+}
+
+// { logradouro | codigo, numero } -> the point lookupPoint expects, with the segment already chosen
+export function resolveAddress(trechoData, { logradouro, codigo, numero: rawNumero }) {
+  if (String(rawNumero ?? "").trim() === "") throw Object.assign(new Error("Informe numero junto com o logradouro"), { status: 400, code: "PARAMETRO_INVALIDO" });
+  const numero = parseNumero(rawNumero);
+  if (numero === null) throw Object.assign(new Error("numero deve ser um inteiro positivo"), { status: 400, code: "PARAMETRO_INVALIDO" });
+  const nome = String(logradouro ?? "").trim();
+  const cod = String(codigo ?? "").trim();
+  if (!nome && !cod) throw Object.assign(new Error("Informe logradouro ou codigo_logradouro"), { status: 400, code: "PARAMETRO_INVALIDO" });
+
+  const ruas = findStreets(trechoData.logradouros, { logradouro: nome, codigo: cod });
+  if (!ruas.length) throw Object.assign(new Error("Logradouro não encontrado"), { status: 404, code: "LOGRADOURO_NAO_ENCONTRADO" });
+
+  // Streets sharing a name are told apart by the number when only one of them has it
+  const located = ruas.map(rua => ({ rua, side: locateNumber(trechoData, rua, numero) })).filter(l => l.side);
+  if (!located.length) {
+    const faixas = ruas.map(r => (r.numeracao ? `${r.numeracao.inicial}–${r.numeracao.final}` : "sem numeração")).join(", ");
+    throw Object.assign(new Error(`Número ${numero} fora da numeração de ${ruas[0].logradouro} (${faixas})`), { status: 404, code: "NUMERO_NAO_ENCONTRADO" });
+  }
+  if (located.length > 1) {
+    throw Object.assign(new Error(`${located.length} logradouros com este nome têm o número ${numero}; informe codigo_logradouro`), {
+      status: 400,
+      code: "LOGRADOURO_AMBIGUO",
+      detalhes: located.map(({ rua }) => ({ campo: "codigo_logradouro", mensagem: `${rua.codigo}: ${rua.logradouro}` })),
+    });
+  }
+
+  const [{ rua, side }] = located;
+  const fraction = side.final === side.inicial ? 0.5 : (numero - side.inicial) / (side.final - side.inicial);
+  const point = pointAlongLine(side.item.geom, fraction);
+  if (!point) throw new Error(`Trecho ${side.item.id_base_trecho} sem geometria de linha`);
+  const [x, y] = point;
+  const [lon, lat] = toWgs84([x, y]);
+  return {
+    cep: null,
+    via: { logradouro: rua.logradouro, bairro: "" },
+    lon,
+    lat,
+    x,
+    y,
+    trecho: side.item,
+    geocodificacao: { fonte: "logradouro", precisao: "numero", codigo_logradouro: rua.codigo, numero, lado: side.lado },
+  };
+}
@@ -0,0 +1,222 @@
+import { toUtm, toWgs84 } from "./crs.js";
+import { computeGeometryMinDistance, pointInGeometry } from "./geometry.js";
+import { FEATURE_LAYERS } from "./datasets.js";
+import { buildServicos, SERVICE_KEYS } from "./servicos.js";
+import { computeIndice } from "./indice.js";
+
+// Lookup core shared by the HTTP server (index.js) and the offline CLI (cli.js): point and
+// CEP resolution, nearest-segment matching and the response payload. Everything takes the
+// loaded index (loadTrechoIndex) and geocoder as arguments; nothing here keeps state.
+
+export const DISTANCE_THRESHOLD_METERS = 50;
+
+export function sanitizeCep(raw) {
+  const digits = String(raw || "").replace(/\D/g, "");
+  return digits.length === 8 ? digits : null;
+}
+
+export function findNearestTrecho(trechoData, pointXY, { maxRadius = 2000, targetCount = 256 } = {}) {
+  const [x, y] = pointXY;
+  const { index, items } = trechoData;
+  if (!index || !items || !items.length) return { bestDist: Infinity, bestItem: null };
+
+  let radius = 50;
+  const seen = new Set();
+  const candidates = [];
+  while (radius <= maxRadius && candidates.length < targetCount) {
+    const ids = index.search(x - radius, y - radius, x + radius, y + radius);
+    for (const id of ids) {
+      if (!seen.has(id)) {
+        seen.add(id);
+        candidates.push(id);
+      }
+    }
+    radius *= 2;
+  }
+
+  let bestDist = Infinity;
+  let bestItem = null;
+  for (const id of candidates) {
+    const item = items[id];
+    if (!item) continue;
+    const d = computeGeometryMinDistance(pointXY, item.geom);
+    if (!Number.isFinite(d)) continue;
+    if (d < bestDist) {
+      bestDist = d;
+      bestItem = item;
+    }
+  }
+  return { bestDist, bestItem };
+}
+
+// Every segment whose geometry lies within `radius` meters of the point, nearest first
+export function findTrechosWithin(trechoData, pointXY, radius) {
+  const [x, y] = pointXY;
+  const { index, items } = trechoData;
+  if (!index || !items || !items.length) return [];
+
+  const found = [];
+  for (const id of index.search(x - radius, y - radius, x + radius, y + radius)) {
+    const item = items[id];
+    if (!item) continue;
+    const d = computeGeometryMinDistance(pointXY, item.geom);
+    if (!Number.isFinite(d) || d > radius) continue;
+    found.push({ dist: d, item });
+  }
+  found.sort((a, b) => a.dist - b.dist);
+  return found;
+}
+
+// Features of a zone layer whose polygon contains the point
+export function findContainingZones(layer, pointXY) {
+  if (!layer) return [];
+  const [x, y] = pointXY;
+  return layer.index.search(x, y, x, y)
+    .map(i => layer.items[i])
+    .filter(f => pointInGeometry(pointXY, f.geom))
+    .map(f => ({ id: f.id, ...f.props }));
+}
+
+// Nearest `limit` features of a point layer within maxDistance meters, nearest first.
+// Flatbush ranks by bbox distance, exact for points; the exact distance re-sorts the rest.
+export function findNearestFeatures(layer, pointXY, limit, maxDistance) {
+  if (!layer) return [];
+  return layer.index.neighbors(pointXY[0], pointXY[1], limit * 4, maxDistance)
+    .map(i => ({ feature: layer.items[i], dist: computeGeometryMinDistance(pointXY, layer.items[i].geom) }))
+    .filter(({ dist }) => dist <= maxDistance)
+    .sort((a, b) => a.dist - b.dist)
+    .slice(0, limit)
+    .map(({ feature, dist }) => ({ id: feature.id, ...feature.props, distancia_m: roundMeters(dist) }));
+}
+
+// zonas / pontos_proximos blocks for the zone and point layers in the registry
+export function buildFeatureBlocks(trechoData, pointXY) {
+  const blocks = {};
+  for (const layer of FEATURE_LAYERS) {
+    const loaded = trechoData.layers[layer.name];
+    if (layer.type === "zone") {
+      (blocks.zonas || (blocks.zonas = {}))[layer.response.key] = findContainingZones(loaded, pointXY);
+    } else {
+      const { key, limit, max_distance } = layer.response;
+      (blocks.pontos_proximos || (blocks.pontos_proximos = {}))[key] = findNearestFeatures(loaded, pointXY, limit, max_distance);
+    }
+  }
+  return blocks;
+}
+
+// "Available on any nearby segment": Sim beats Não beats não informado beats não encontrado
+const DISPONIVEL_PRIORITY = ["Sim", "Não", "não informado", "não encontrado"];
+
+export function aggregateServicos(servicosList) {
+  const aggregated = {};
+  for (const key of SERVICE_KEYS) {
+    let best = "não encontrado";
+    for (const servicos of servicosList) {
+      const v = servicos[key].disponivel;
+      if (DISPONIVEL_PRIORITY.indexOf(v) < DISPONIVEL_PRIORITY.indexOf(best)) best = v;
+    }
+    aggregated[key] = { disponivel: best };
+  }
+  return aggregated;
+}
+
+export function buildSuccessResponse({ cep, via, lon, lat, bestItem, noHit, dataReferencia }) {
+  return {
+    cep,
+    logradouro: via.logradouro || "",
+    bairro: via.bairro || "",
+    latitude: String(lat),
+    longitude: String(lon),
+    servicos: buildServicos(noHit ? null : bestItem, { dataReferencia }),
+  };
+}
+
+export function parseCoordinatePair(a, b) {
+  const rawA = (a ?? "").toString().trim();
+  const rawB = (b ?? "").toString().trim();
+  if (rawA === "" || rawB === "") return null;
+  const va = Number(rawA);
+  const vb = Number(rawB);
+  if (!Number.isFinite(va) || !Number.isFinite(vb)) return null;
+  return [va, vb];
+}
+
+// params: plain object with lat/lon (WGS84) or x/y (EPSG:31983)
+export function resolvePointParams(params) {
+  if (params.lat != null || params.lon != null) {
+    const pair = parseCoordinatePair(params.lon, params.lat);
+    if (!pair || pair[1] < -90 || pair[1] > 90 || pair[0] < -180 || pair[0] > 180) {
+      throw Object.assign(new Error("Informe lat e lon válidos em graus decimais (WGS84)"), { status: 400, code: "COORDENADAS_INVALIDAS" });
+    }
+    const [lon, lat] = pair;
+    const [x, y] = toUtm([lon, lat]);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error("Falha na transformação de coordenadas");
+    return { lon, lat, x, y };
+  }
+  if (params.x != null || params.y != null) {
+    const pair = parseCoordinatePair(params.x, params.y);
+    if (!pair) {
+      throw Object.assign(new Error("Informe x e y válidos em metros (EPSG:31983)"), { status: 400, code: "COORDENADAS_INVALIDAS" });
+    }
+    const [x, y] = pair;
+    const [lon, lat] = toWgs84([x, y]);
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) throw new Error("Falha na transformação de coordenadas");
+    return { lon, lat, x, y };
+  }
+  throw Object.assign(new Error("Informe lat/lon (WGS84) ou x/y (EPSG:31983)"), { status: 400, code: "COORDENADAS_INVALIDAS" });
+}
+
+export function roundMeters(d) {
+  return Number.isFinite(d) ? Math.round(d * 100) / 100 : null;
+}
+
+// geocodificacao: { fonte, precisao, fonte_endereco? } describing where lon/lat came from
+// point.trecho: the segment an address was placed on by its number (see logradouros.js). It is
+// taken as is, since at a corner the nearest segment may be the cross street.
+export function lookupPoint(trechoData, { cep, via, lon, lat, x, y, geocodificacao, trecho }, { modo = "mais_proximo", limiar = DISTANCE_THRESHOLD_METERS, raio = limiar, indice = false, dataReferencia } = {}) {
+  const { bestDist, bestItem } = trecho ? { bestDist: 0, bestItem: trecho } : findNearestTrecho(trechoData, [x, y]);
+  const noHit = !bestItem || bestDist > limiar;
+  const payload = buildSuccessResponse({ cep, via, lon, lat, bestItem, noHit, dataReferencia });
+  payload.match = {
+    id_base_trecho: bestItem ? bestItem.id_base_trecho : null,
+    distancia_m: roundMeters(bestDist),
+    limiar_m: limiar,
+    encontrado: !noHit,
+    geocodificacao,
+  };
+  // No score without a matched segment: "não encontrado" everywhere says nothing about the address
+  if (indice) payload.indice = noHit ? null : computeIndice(payload.servicos);
+  Object.assign(payload, buildFeatureBlocks(trechoData, [x, y]));
+  if (modo !== "todos") return payload;
+
+  const trechos = findTrechosWithin(trechoData, [x, y], raio).map(({ dist, item }) => ({
+    id_base_trecho: item.id_base_trecho,
+    distancia_m: roundMeters(dist),
+    servicos: buildServicos(item, { dataReferencia }),
+  }));
+  return {
+    ...payload,
+    raio_m: raio,
+    trechos,
+    servicos_proximos: aggregateServicos(trechos.map(t => t.servicos)),
+  };
+}
+
+export const COORDINATE_GEOCODIFICACAO = { fonte: "coordenadas", precisao: "coordenada" };
+
+// CEP → geocoded point with its UTM projection
+export async function resolveCep(geocoder, rawCep) {
+  const cep = sanitizeCep(rawCep);
+  if (!cep) throw Object.assign(new Error("Informe um CEP válido com 8 dígitos"), { status: 400, code: "CEP_INVALIDO" });
+
+  const via = await geocoder.lookupCep(cep);
+
+  const { lon, lat, fonte, precisao } = await geocoder.geocode(via);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) throw new Error("Coordenadas inválidas");
+
+  const [x, y] = toUtm([lon, lat]);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error("Falha na transformação de coordenadas");
+
+  const geocodificacao = { fonte: fonte || null, precisao: precisao || null, fonte_endereco: via.fonte || null };
+  return { cep, via, lon, lat, x, y, geocodificacao };
+}
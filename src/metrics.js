@@ -0,0 +1,88 @@
+// Small Prometheus registry for GET /metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4).
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatLabels(pairs) {
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+// One entry per distinct label combination, created on first use
+function labeledSeries(labelNames, init) {
+  const series = new Map();
+  return {
+    get(labels = {}) {
+      const pairs = labelNames.map(n => [n, labels[n] ?? ""]);
+      const key = pairs.map(([, v]) => v).join("\u0000");
+      if (!series.has(key)) series.set(key, { pairs, ...init() });
+      return series.get(key);
+    },
+    values: () => series.values(),
+  };
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter({ name, help, labelNames = [] }) {
+      const series = labeledSeries(labelNames, () => ({ value: 0 }));
+      return register({
+        name, help, type: "counter",
+        inc(labels, by = 1) {
+          series.get(labels).value += by;
+        },
+        lines: () => [...series.values()].map(s => `${name}${formatLabels(s.pairs)} ${formatValue(s.value)}`),
+      });
+    },
+    // collect: () => [{ labels, value }], read at scrape time for values owned elsewhere
+    gauge({ name, help, labelNames = [], collect }) {
+      return register({
+        name, help, type: "gauge",
+        lines: () => collect().map(({ labels = {}, value }) => {
+          const pairs = labelNames.map(n => [n, labels[n] ?? ""]);
+          return `${name}${formatLabels(pairs)} ${formatValue(value)}`;
+        }),
+      });
+    },
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const series = labeledSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      return register({
+        name, help, type: "histogram",
+        observe(labels, value) {
+          const s = series.get(labels);
+          buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+          s.sum += value;
+          s.count++;
+        },
+        lines: () => [...series.values()].flatMap(s => [
+          ...buckets.map((le, i) => `${name}_bucket${formatLabels([...s.pairs, ["le", formatValue(le)]])} ${s.counts[i]}`),
+          `${name}_bucket${formatLabels([...s.pairs, ["le", "+Inf"]])} ${s.count}`,
+          `${name}_sum${formatLabels(s.pairs)} ${formatValue(s.sum)}`,
+          `${name}_count${formatLabels(s.pairs)} ${s.count}`,
+        ]),
+      });
+    },
+    render() {
+      return metrics
+        .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n"))
+        .join("\n") + "\n";
+    },
+  };
+}
@@ -0,0 +1,303 @@
+import { TRECHO_DATASETS, FEATURE_LAYERS } from "./datasets.js";
+import { MACHINE_CONTENT_TYPE } from "./formato.js";
+
+// OpenAPI 3 document for the /v1 route table. Paths, parameters and bodies come from the
+// routes in index.js; the response schemas below follow the registry, so a new dataset
+// shows up in `servicos` / `zonas` / `pontos_proximos` without touching this file.
+
+// No enum: Accept-Language translates the label
+const DISPONIVEL = { type: "string", description: "Sim | Não | não informado | não encontrado (pt-BR); traduzido conforme Accept-Language" };
+// formato=maquina replaces `disponivel` with these two
+const STATUS_MAQUINA = {
+  status: { type: "string", enum: ["available", "unavailable", "unknown", "no_match"] },
+  disponivel: { type: "boolean", nullable: true, description: "null para unknown e no_match" },
+};
+const NULLABLE_STRING = { type: "string", nullable: true };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const obj = (properties, required = Object.keys(properties)) => ({ type: "object", properties, required });
+const arrayOf = (items) => ({ type: "array", items });
+const mapOf = (values) => ({ type: "object", additionalProperties: values });
+
+const agendaSchema = (machine) => ({
+  type: "object",
+  nullable: true,
+  description: "Programação da coleta interpretada; null sem coleta ou sem dias reconhecidos",
+  properties: {
+    dias_semana: arrayOf(machine
+      ? { type: "string", enum: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"] }
+      : { type: "string", description: "segunda ... domingo; traduzido conforme Accept-Language" }),
+    turno: machine ? { type: "string", enum: ["morning", "afternoon", "night"], nullable: true } : NULLABLE_STRING,
+    proxima_coleta: { type: "string", format: "date" },
+    data_referencia: { type: "string", format: "date" },
+  },
+  required: ["dias_semana", "turno", "proxima_coleta", "data_referencia"],
+});
+
+const statusProps = (machine) => (machine ? STATUS_MAQUINA : { disponivel: DISPONIVEL });
+
+function servicosSchema(machine) {
+  const properties = {};
+  for (const { service } of TRECHO_DATASETS) {
+    if (!service) continue;
+    const props = { ...statusProps(machine) };
+    for (const field of Object.keys(service.fields)) {
+      props[field] = machine && field.startsWith("data_") ? { type: "string", format: "date-time", nullable: true } : NULLABLE_STRING;
+    }
+    if (service.available.rule === "coleta") props.agenda = agendaSchema(machine);
+    properties[service.key] = obj(props);
+  }
+  return obj(properties);
+}
+
+// Shapes shared by the texto and maquina variants of the lookup responses
+function lookupSchemas(machine) {
+  const suffix = machine ? "Maquina" : "";
+  const coordinate = machine ? { type: "number" } : { type: "string" };
+  return {
+    [`Servicos${suffix}`]: servicosSchema(machine),
+    [`Indice${suffix}`]: {
+      ...obj({
+        valor: { type: "number", minimum: 0, maximum: 100 },
+        escala: { type: "string" },
+        componentes: mapOf(obj({
+          ...statusProps(machine),
+          peso: { type: "number" },
+          pontos: { type: "number" },
+          ...(machine ? {} : { explicacao: { type: "string", description: "Frase em português, não traduzida por Accept-Language" } }),
+        })),
+      }),
+      nullable: true,
+    },
+    [`InfraResposta${suffix}`]: obj({
+      cep: NULLABLE_STRING,
+      logradouro: { type: "string" },
+      bairro: { type: "string" },
+      latitude: coordinate,
+      longitude: coordinate,
+      servicos: ref(`Servicos${suffix}`),
+      match: ref("Match"),
+      indice: ref(`Indice${suffix}`),
+      zonas: ref("Zonas"),
+      pontos_proximos: ref("PontosProximos"),
+      raio_m: { type: "number", description: "Somente com modo=todos" },
+      trechos: arrayOf(obj({ id_base_trecho: { type: "string" }, distancia_m: { type: "number" }, servicos: ref(`Servicos${suffix}`) })),
+      servicos_proximos: mapOf(obj(statusProps(machine))),
+    }, ["cep", "logradouro", "bairro", "latitude", "longitude", "servicos", "match"]),
+    [`LoteResposta${suffix}`]: obj({
+      total: { type: "integer" },
+      sucesso: { type: "integer" },
+      erros: { type: "integer" },
+      resultados: arrayOf(obj({
+        indice: { type: "integer" },
+        status: { type: "integer" },
+        resultado: ref(`InfraResposta${suffix}`),
+        error: { type: "string" },
+        message: { type: "string" },
+      }, ["indice", "status"])),
+    }),
+    [`Proximidades${suffix}`]: obj({
+      cep: NULLABLE_STRING,
+      latitude: coordinate,
+      longitude: coordinate,
+      raio_m: { type: "number" },
+      limite: { type: "integer" },
+      geocodificacao: ref("Geocodificacao"),
+      categorias: ref("PontosProximos"),
+    }),
+    [`AreaResposta${suffix}`]: obj({
+      area: obj({ tipo: { type: "string", enum: ["poligono", "corredor"] }, buffer_m: { type: "number", nullable: true } }),
+      total_trechos: { type: "integer" },
+      extensao_m: { type: "number", description: "Extensão de trechos dentro da área" },
+      cobertura: mapOf({
+        type: "object",
+        description: machine ? "Chaves: status (available, unavailable, unknown, no_match)" : "Chaves: rótulo de disponibilidade",
+        additionalProperties: obj({ trechos: { type: "integer" }, extensao_m: { type: "number" }, percentual: { type: "number" } }),
+      }),
+      trechos: arrayOf(obj({
+        id_base_trecho: { type: "string" },
+        extensao_m: { type: "number", description: "Extensão dentro da área" },
+        extensao_trecho_m: { type: "number" },
+        servicos: ref(`Servicos${suffix}`),
+      })),
+      truncado: { type: "boolean" },
+    }),
+    [`HistoricoTrecho${suffix}`]: obj({
+      id_base_trecho: { type: "string" },
+      servicos: mapOf(obj({ ...statusProps(machine), desde: { type: "string", format: "date", nullable: true } })),
+      campos: mapOf(arrayOf(obj({ data: { type: "string", format: "date" }, valor: NULLABLE_STRING }))),
+    }),
+  };
+}
+
+function featureBlockSchemas() {
+  const zonas = {};
+  const pontos = {};
+  for (const layer of FEATURE_LAYERS) {
+    const props = { id: { type: "string" } };
+    for (const name of Object.keys(layer.properties)) props[name] = NULLABLE_STRING;
+    if (layer.type === "zone") {
+      zonas[layer.response.key] = arrayOf(obj(props, ["id"]));
+    } else {
+      pontos[layer.response.key] = arrayOf(obj({ ...props, distancia_m: { type: "number" } }, ["id", "distancia_m"]));
+    }
+  }
+  return { Zonas: obj(zonas), PontosProximos: obj(pontos) };
+}
+
+function componentSchemas() {
+  const { Zonas, PontosProximos } = featureBlockSchemas();
+  return {
+    Erro: obj({
+      error: { type: "string", description: "Código do erro, ex. CEP_INVALIDO" },
+      message: { type: "string" },
+      detalhes: arrayOf(obj({ campo: { type: "string" }, mensagem: { type: "string" } })),
+    }, ["error", "message"]),
+    Disponivel: DISPONIVEL,
+    Geocodificacao: obj({
+      fonte: { type: "string", nullable: true, description: "local | viacep | nominatim | coordenadas | logradouro" },
+      precisao: { type: "string", nullable: true, enum: ["cep", "logradouro", "coordenada", "numero"] },
+      fonte_endereco: { type: "string", nullable: true },
+      codigo_logradouro: { type: "string", nullable: true, description: "Consulta por logradouro e número" },
+      numero: { type: "integer", description: "Consulta por logradouro e número" },
+      lado: { type: "string", enum: ["esquerdo", "direito"], description: "Lado do trecho cuja numeração contém o número" },
+    }, ["fonte", "precisao"]),
+    Match: obj({
+      id_base_trecho: NULLABLE_STRING,
+      distancia_m: { type: "number", nullable: true },
+      limiar_m: { type: "number" },
+      encontrado: { type: "boolean" },
+      geocodificacao: ref("Geocodificacao"),
+    }),
+    Zonas,
+    PontosProximos,
+    ...lookupSchemas(false),
+    ...lookupSchemas(true),
+    FeatureCollection: obj({
+      type: { type: "string", enum: ["FeatureCollection"] },
+      features: arrayOf(obj({
+        type: { type: "string", enum: ["Feature"] },
+        id: { type: "string" },
+        geometry: { type: "object" },
+        properties: { type: "object" },
+      })),
+      total: { type: "integer" },
+      truncado: { type: "boolean" },
+    }, ["type", "features"]),
+    Estatisticas: obj({ agrupamento: { type: "string" }, grupos: arrayOf({ type: "object" }), total: { type: "object" } }),
+    RankingIndice: obj({
+      agrupamento: { type: "string" },
+      ranking: arrayOf(obj({
+        posicao: { type: "integer" },
+        nome: { type: "string" },
+        indice_medio: { type: "number", nullable: true },
+        trechos: { type: "integer" },
+        extensao_m: { type: "number" },
+      })),
+    }),
+    Logradouros: obj({
+      q: { type: "string" },
+      total: { type: "integer", description: "Logradouros encontrados, antes de limite" },
+      logradouros: arrayOf(obj({
+        codigo: NULLABLE_STRING,
+        logradouro: { type: "string", description: "Tipo e nome" },
+        tipo: NULLABLE_STRING,
+        nome: { type: "string" },
+        numeracao: { ...obj({ inicial: { type: "integer" }, final: { type: "integer" } }), nullable: true },
+        trechos: { type: "integer" },
+      })),
+    }),
+    Snapshots: obj({ snapshots: arrayOf(obj({ data: { type: "string", format: "date" }, arquivos: arrayOf({ type: "string" }), ingested_at: { type: "string" }, alteracoes: { type: "integer" } })) }),
+    SnapshotDiff: obj({
+      de: { type: "string", format: "date" },
+      para: { type: "string", format: "date" },
+      totais: obj({ adicionados: { type: "integer" }, removidos: { type: "integer" }, alterados: { type: "integer" } }),
+      adicionados: arrayOf({ type: "string" }),
+      removidos: arrayOf({ type: "string" }),
+      alterados: arrayOf(obj({ id_base_trecho: { type: "string" }, campos: mapOf(obj({ de: NULLABLE_STRING, para: NULLABLE_STRING })) })),
+      truncado: { type: "boolean" },
+    }),
+    StatusDataset: obj({
+      arquivo: { type: "string" },
+      generated_at: NULLABLE_STRING,
+      trechos: { type: "integer" },
+      carregado_em: { type: "string" },
+      recarregando: { type: "boolean" },
+      ultimo_erro: NULLABLE_STRING,
+    }),
+    Saude: obj({
+      status: { type: "string", enum: ["ok", "degradado", "indisponivel"] },
+      indice_carregado: { type: "boolean" },
+      arquivo: { type: "string" },
+      generated_at: NULLABLE_STRING,
+      trechos: { type: "integer" },
+      carregado_em: { type: "string" },
+      recarregando: { type: "boolean" },
+      ultimo_erro: NULLABLE_STRING,
+      geocoders: arrayOf(obj({
+        nome: { type: "string" },
+        estado: { type: "string", enum: ["fechado", "semiaberto", "aberto"] },
+        falhas_seguidas: { type: "integer" },
+      })),
+      uptime_s: { type: "integer" },
+    }),
+    CacheStats: { type: "object", properties: { habilitado: { type: "boolean" } }, required: ["habilitado"] },
+  };
+}
+
+const ERROR_RESPONSE = (description) => ({ description, content: { "application/json": { schema: ref("Erro") } } });
+
+// machineSchema: the formato=maquina variant, also served as MACHINE_CONTENT_TYPE through Accept
+function operation(route) {
+  const { schema, machineSchema, contentType = "application/json", description = "OK" } = route.response;
+  const schemaOf = (s) => (typeof s === "string" ? ref(s) : s);
+  const content = machineSchema
+    ? {
+      [contentType]: { schema: { oneOf: [schemaOf(schema), schemaOf(machineSchema)] } },
+      [MACHINE_CONTENT_TYPE]: { schema: schemaOf(machineSchema) },
+    }
+    : { [contentType]: { schema: schemaOf(schema) } };
+  const responses = {
+    200: { description, content },
+    400: ERROR_RESPONSE("Parâmetros inválidos"),
+  };
+  if (!route.operacional) {
+    responses[429] = ERROR_RESPONSE("Limite de requisições por cliente excedido (ver Retry-After)");
+    responses[503] = ERROR_RESPONSE("Servidor ocupado (ver Retry-After)");
+  }
+  for (const [status, text] of Object.entries(route.errors || {})) responses[status] = ERROR_RESPONSE(text);
+  responses[500] = ERROR_RESPONSE("Erro interno");
+  return {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: route.tags,
+    parameters: route.parameters,
+    ...(route.requestBody ? {
+      requestBody: { required: true, content: { "application/json": { schema: route.requestBody.schema } } },
+    } : {}),
+    ...(route.admin ? { security: [{ adminToken: [] }] } : {}),
+    responses,
+  };
+}
+
+// routes: [{ method, path, operationId, summary, tags, parameters, requestBody?, response, errors?, admin?, operacional? }]
+export function buildOpenApiDocument(routes, { title, version, prefix }) {
+  const paths = {};
+  for (const route of routes) {
+    const path = `${prefix}${route.path}`;
+    (paths[path] || (paths[path] = {}))[route.method.toLowerCase()] = operation(route);
+  }
+  return {
+    openapi: "3.0.3",
+    info: {
+      title,
+      version,
+      description: "Infraestrutura urbana de Belo Horizonte por CEP, endereço ou coordenada, a partir dos dados abertos da PBH.",
+    },
+    servers: [{ url: "/" }],
+    paths,
+    components: {
+      schemas: componentSchemas(),
+      securitySchemes: { adminToken: { type: "http", scheme: "bearer", description: "ADMIN_TOKEN do servidor" } },
+    },
+  };
+}
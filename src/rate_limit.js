@@ -0,0 +1,39 @@
+// Per-client token bucket: a client may send `burst` requests at once and `ratePerSecond`
+// sustained. Buckets that have refilled completely carry no state and are dropped on sweeps,
+// so memory follows the number of recently active clients.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createRateLimiter({ ratePerSecond, burst }) {
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  const refill = (bucket, now) => Math.min(burst, bucket.tokens + ((now - bucket.at) / 1000) * ratePerSecond);
+
+  function sweep(now) {
+    for (const [key, bucket] of buckets) {
+      if (refill(bucket, now) >= burst) buckets.delete(key);
+    }
+    lastSweep = now;
+  }
+
+  return {
+    // { permitido, retryAfter? } where retryAfter is in whole seconds
+    take(key) {
+      const now = Date.now();
+      if (now - lastSweep > SWEEP_INTERVAL_MS) sweep(now);
+      const bucket = buckets.get(key) || { tokens: burst, at: now };
+      bucket.tokens = refill(bucket, now);
+      bucket.at = now;
+      buckets.set(key, bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { permitido: true };
+      }
+      return { permitido: false, retryAfter: Math.ceil((1 - bucket.tokens) / ratePerSecond) };
+    },
+    clientes() {
+      return buckets.size;
+    },
+  };
+}
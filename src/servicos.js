@@ -0,0 +1,74 @@
+import { TRECHO_DATASETS } from "./datasets.js";
+import { buildAgenda, todayInBh } from "./coleta.js";
+
+// Builds the `servicos` block of a response from the dataset registry.
+
+export function mapIndicatorToDisponivel(value) {
+  const v = (value || "").toString().trim().toUpperCase();
+  if (v === "S" || v === "SIM" || v === "Y" || v === "1" || v === "TRUE") return "Sim";
+  if (v === "N" || v === "NAO" || v === "NÃO" || v === "0" || v === "FALSE") return "Não";
+  if (v === "") return "não informado";
+  return "não encontrado";
+}
+
+function isNotApplicable(value) {
+  const v = (value || "").toString().trim().toUpperCase();
+  return v === "" || v === "NÃO SE APLICA" || v === "NAO SE APLICA" || v === "N/A" || v === "NA";
+}
+
+export function mapColetaDisponivel(programacao, turno, nome_distrito, cooperativa_responsavel) {
+  const prog = (programacao || "").toString().trim().toUpperCase();
+  if (prog.includes("SEM COLETA")) return "Não";
+  const hasAnyMeaningful = [programacao, turno, nome_distrito, cooperativa_responsavel].some(v => !isNotApplicable(v));
+  return hasAnyMeaningful ? "Sim" : "não encontrado";
+}
+
+const SERVICES = TRECHO_DATASETS.filter(d => d.service).map(d => d.service);
+
+export const SERVICE_KEYS = SERVICES.map(s => s.key);
+
+// Indicator column -> service key, for services whose availability comes from one indicator
+export const INDICATOR_SERVICES = Object.fromEntries(
+  SERVICES.filter(s => s.available.rule === "indicator").map(s => [s.available.column, s.key]),
+);
+
+const COLETA_SERVICE = SERVICES.find(s => s.available.rule === "coleta");
+
+// Raw collection fields of a trecho plus its parsed schedule (null when collection is not available)
+export function readColeta(item, dataReferencia = todayInBh()) {
+  if (!COLETA_SERVICE) return null;
+  const [programacao, turno, , cooperativa] = COLETA_SERVICE.available.columns.map(c => item[c] || null);
+  const disponivel = computeDisponivel(COLETA_SERVICE.available, item);
+  const agenda = disponivel === "Sim" ? buildAgenda(programacao, turno, dataReferencia) : null;
+  return { programacao, turno, cooperativa, disponivel, agenda };
+}
+
+function computeDisponivel(available, item) {
+  if (available.rule === "coleta") {
+    return mapColetaDisponivel(...available.columns.map(c => item[c]));
+  }
+  const raw = mapIndicatorToDisponivel(item[available.column]);
+  if (raw === "Sim" || raw === "Não") return raw;
+  // e.g. paving: a known type with no indicator still means the street is paved
+  if (available.infer_from && (item[available.infer_from] || "").toString().trim() !== "") return "Sim";
+  return raw;
+}
+
+// item: a trecho (trecho_data row), or null when no segment matched
+// dataReferencia: "YYYY-MM-DD" the collection schedule's proxima_coleta counts from (default: today in BH)
+export function buildServicos(item, { dataReferencia } = {}) {
+  const servicos = {};
+  for (const { key, available, fields } of SERVICES) {
+    const servico = { disponivel: item ? computeDisponivel(available, item) : "não encontrado" };
+    for (const [field, { column, default: fallback = null }] of Object.entries(fields)) {
+      servico[field] = (item && item[column]) || fallback;
+    }
+    // "SEM COLETA" is already "Não", so only an available collection gets a schedule
+    if (available.rule === "coleta") {
+      const [programacao, turno] = available.columns.map(c => item?.[c]);
+      servico.agenda = servico.disponivel === "Sim" ? buildAgenda(programacao, turno, dataReferencia || todayInBh()) : null;
+    }
+    servicos[key] = servico;
+  }
+  return servicos;
+}
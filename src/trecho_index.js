@@ -0,0 +1,104 @@
+import fs from "fs";
+import { Worker } from "worker_threads";
+import Database from "better-sqlite3";
+import Flatbush from "flatbush";
+import { computeGeometryBBox } from "./geometry.js";
+import { buildStreetIndex } from "./logradouros.js";
+
+function readMeta(db) {
+  const meta = {};
+  const hasTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'meta'`).get();
+  if (!hasTable) return meta;
+  for (const { k, v } of db.prepare(`SELECT k, v FROM meta`).iterate()) meta[k] = v;
+  return meta;
+}
+
+function buildFlatbush(bboxes) {
+  const index = new Flatbush(bboxes.length);
+  for (const [minX, minY, maxX, maxY] of bboxes) index.add(minX, minY, maxX, maxY);
+  index.finish();
+  return index;
+}
+
+// Zone/point layers from the `feature` table: { [camada]: { index, items: [{ id, geom, props }] } }
+function loadFeatureLayers(db) {
+  const layers = {};
+  const hasTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'feature'`).get();
+  if (!hasTable) return layers;
+  const grouped = new Map();
+  for (const row of db.prepare(`SELECT camada, id, geojson, props FROM feature WHERE geojson IS NOT NULL`).iterate()) {
+    let geom;
+    let props;
+    try { geom = JSON.parse(row.geojson); props = JSON.parse(row.props || "{}"); } catch (_) { continue; }
+    const bbox = computeGeometryBBox(geom);
+    if (!bbox) continue;
+    if (!grouped.has(row.camada)) grouped.set(row.camada, { items: [], bboxes: [] });
+    const layer = grouped.get(row.camada);
+    layer.items.push({ id: row.id, geom, props });
+    layer.bboxes.push(bbox);
+  }
+  for (const [camada, { items, bboxes }] of grouped) layers[camada] = { index: buildFlatbush(bboxes), items };
+  return layers;
+}
+
+// Derived lookups that are cheap to rebuild and need not cross the worker boundary
+function withLookups(trechoData) {
+  const byId = new Map();
+  for (let i = 0; i < trechoData.items.length; i++) byId.set(trechoData.items[i].id_base_trecho, i);
+  return { ...trechoData, byId, logradouros: buildStreetIndex(trechoData.items) };
+}
+
+// dbPath may be a symlink to a versioned file (see ingest_sqlite.js); it is resolved
+// once so the whole index comes from a single file even if a swap happens meanwhile.
+export function loadTrechoIndex(dbPath) {
+  const arquivo = fs.realpathSync(dbPath);
+  const db = new Database(arquivo, { readonly: true, fileMustExist: true });
+  const geomStmt = db.prepare(`SELECT id_base_trecho, geojson FROM trecho_geom WHERE geojson IS NOT NULL`);
+  const dataStmt = db.prepare(`SELECT * FROM trecho_data`);
+
+  const dataMap = new Map();
+  for (const d of dataStmt.iterate()) {
+    dataMap.set(d.id_base_trecho, d);
+  }
+
+  const items = [];
+  const bboxes = [];
+  for (const row of geomStmt.iterate()) {
+    let geom;
+    try { geom = JSON.parse(row.geojson); } catch (_) { continue; }
+    const bbox = computeGeometryBBox(geom);
+    if (!bbox) continue;
+    const d = dataMap.get(row.id_base_trecho) || {};
+    // Every trecho_data column the registry declares comes along as-is
+    items.push({ ...d, id_base_trecho: row.id_base_trecho, geom });
+    bboxes.push(bbox);
+  }
+
+  const index = buildFlatbush(bboxes);
+
+  const layers = loadFeatureLayers(db);
+  const meta = readMeta(db);
+  try { db.close(); } catch (_) {}
+  return withLookups({ index, items, layers, meta, arquivo });
+}
+
+// Builds the index in a worker thread so a reload does not block request handling.
+// The Flatbush buffers are transferred, not copied.
+export function loadTrechoIndexInWorker(dbPath) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./trecho_index_worker.js", import.meta.url), { workerData: { dbPath } });
+    worker.once("message", (msg) => {
+      if (msg.error) {
+        reject(Object.assign(new Error(msg.error.message), { stack: msg.error.stack }));
+        return;
+      }
+      const layers = {};
+      for (const { camada, indexData, items } of msg.layers) layers[camada] = { index: Flatbush.from(indexData), items };
+      resolve(withLookups({ index: Flatbush.from(msg.indexData), items: msg.items, layers, meta: msg.meta, arquivo: msg.arquivo }));
+    });
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`trecho index worker exited with code ${code}`));
+    });
+  });
+}
@@ -0,0 +1,13 @@
+import { parentPort, workerData } from "worker_threads";
+import { loadTrechoIndex } from "./trecho_index.js";
+
+try {
+  const { index, items, layers, meta, arquivo } = loadTrechoIndex(workerData.dbPath);
+  const layerList = Object.entries(layers).map(([camada, l]) => ({ camada, indexData: l.index.data, items: l.items }));
+  parentPort.postMessage(
+    { indexData: index.data, items, layers: layerList, meta, arquivo },
+    [index.data, ...layerList.map(l => l.indexData)],
+  );
+} catch (err) {
+  parentPort.postMessage({ error: { message: err.message, stack: err.stack } });
+}
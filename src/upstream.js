@@ -0,0 +1,102 @@
+import fetch from "node-fetch";
+
+// HTTP client for the online geocoders. Each attempt has a timeout; network errors, timeouts,
+// 429 and 5xx are retried with exponential backoff. A circuit breaker stops calling a provider
+// that keeps failing, so requests fall through to the next provider at once:
+//   fechado     normal; `breakerThreshold` failed calls in a row (timeouts, network errors, 429/5xx
+//               after their retries) open the circuit
+//   aberto      calls fail immediately with UPSTREAM_INDISPONIVEL for `breakerCooldownMs`
+//   semiaberto  one trial call; success closes the circuit, failure opens it again
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// motivo: timeout | rede | http | resposta_invalida | circuito_aberto (also the metrics label)
+function upstreamError(name, message, motivo, retryable = false) {
+  return Object.assign(new Error(`${name}: ${message}`), { status: 502, code: "UPSTREAM_INDISPONIVEL", motivo, retryable });
+}
+
+export function createUpstreamClient({
+  name,
+  timeoutMs = 3000,
+  retries = 1,
+  backoffMs = 200,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30000,
+  onFailure = () => {},
+}) {
+  const circuit = { estado: "fechado", falhas: 0, abertoAte: 0, ensaio: false };
+
+  function allowCall() {
+    if (circuit.estado === "aberto" && Date.now() >= circuit.abertoAte) circuit.estado = "semiaberto";
+    if (circuit.estado === "fechado") return true;
+    if (circuit.estado === "semiaberto" && !circuit.ensaio) {
+      circuit.ensaio = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    Object.assign(circuit, { estado: "fechado", falhas: 0, ensaio: false });
+  }
+
+  function recordFailure() {
+    circuit.falhas++;
+    circuit.ensaio = false;
+    if (circuit.estado === "semiaberto" || circuit.falhas >= breakerThreshold) {
+      circuit.estado = "aberto";
+      circuit.abertoAte = Date.now() + breakerCooldownMs;
+    }
+  }
+
+  async function attempt(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, { ...init, signal: controller.signal });
+      if (!res.ok) throw upstreamError(name, `HTTP ${res.status}`, "http", res.status === 429 || res.status >= 500);
+      return await res.json();
+    } catch (err) {
+      if (err.code === "UPSTREAM_INDISPONIVEL") throw err;
+      if (err.name === "AbortError") throw upstreamError(name, `sem resposta em ${timeoutMs} ms`, "timeout", true);
+      if (err instanceof SyntaxError) throw upstreamError(name, "resposta inválida", "resposta_invalida");
+      throw upstreamError(name, err.message, "rede", true);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    async getJson(url, init = {}) {
+      if (!allowCall()) {
+        onFailure(name, "circuito_aberto");
+        throw upstreamError(name, "circuito aberto após falhas seguidas", "circuito_aberto");
+      }
+      for (let tentativa = 0; ; tentativa++) {
+        try {
+          const data = await attempt(url, init);
+          recordSuccess();
+          return data;
+        } catch (err) {
+          onFailure(name, err.motivo);
+          // a 4xx or unreadable answer still means the provider is up: it does not count toward the breaker
+          if (!err.retryable) {
+            recordSuccess();
+            throw err;
+          }
+          if (tentativa >= retries) {
+            recordFailure();
+            throw err;
+          }
+          // jitter keeps retries from many requests off the same instant
+          await sleep(backoffMs * 2 ** tentativa * (0.5 + Math.random()));
+        }
+      }
+    },
+    // { estado, falhas_seguidas } for /health and /metrics
+    circuito() {
+      const estado = circuit.estado === "aberto" && Date.now() >= circuit.abertoAte ? "semiaberto" : circuit.estado;
+      return { estado, falhas_seguidas: circuit.falhas };
+    },
+  };
+}
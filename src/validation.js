@@ -0,0 +1,102 @@
+// Request validation against the OpenAPI parameter/body schemas of the route table.
+// Covers the JSON Schema subset the spec uses: type, enum, minimum/maximum, pattern, minLength,
+// format "date", minItems/maxItems, items, required/properties. "x-formato" names a pattern in messages.
+
+const TRUE_VALUES = new Set(["1", "true", "sim"]);
+const FALSE_VALUES = new Set(["0", "false", "nao", "não"]);
+
+// YYYY-MM-DD naming a day that exists (Date.parse accepts 2025-02-30)
+export function isCalendarDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? ""));
+  if (!m) return false;
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer") || (type === "null" && value === null);
+}
+
+// Error messages for `value` against `schema`; `campo` names the value in the messages
+export function validateValue(schema, value, campo) {
+  const erros = [];
+  const add = (mensagem) => erros.push({ campo, mensagem });
+  if (value === null && schema.nullable) return erros;
+  if (schema.type && !matchesType(value, schema.type)) {
+    add(`deve ser do tipo ${schema.type}`);
+    return erros;
+  }
+  if (schema.enum && !schema.enum.includes(value)) add(`deve ser um de: ${schema.enum.join(", ")}`);
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) add(`deve ser no mínimo ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) add(`deve ser no máximo ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) add(`deve ter ao menos ${schema.minLength} caracteres`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) add(`formato inválido (esperado ${schema["x-formato"] || schema.pattern})`);
+    if (schema.format === "date" && !isCalendarDate(value)) add("deve ser uma data YYYY-MM-DD");
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) add(`deve ter ao menos ${schema.minItems} item(ns)`);
+    if (schema.maxItems != null && value.length > schema.maxItems) add(`deve ter no máximo ${schema.maxItems} itens`);
+    if (schema.items) value.forEach((item, i) => erros.push(...validateValue(schema.items, item, `${campo}[${i}]`)));
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) erros.push({ campo: `${campo}.${key}`, mensagem: "é obrigatório" });
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) erros.push(...validateValue(propSchema, value[key], `${campo}.${key}`));
+    }
+  }
+  return erros;
+}
+
+// Query strings are text: convert to the declared type before validating. Enum values are
+// lowercase codes that the handlers lowercase too, so MAQUINA passes as maquina.
+function coerceQueryValue(raw, schema) {
+  if (schema.enum) return raw.toLowerCase();
+  if (schema.type === "number" || schema.type === "integer") {
+    const n = Number(raw);
+    return Number.isFinite(n) ? n : raw;
+  }
+  if (schema.type === "boolean") {
+    const v = raw.toLowerCase();
+    if (TRUE_VALUES.has(v)) return true;
+    if (FALSE_VALUES.has(v)) return false;
+  }
+  return raw;
+}
+
+// parameters: OpenAPI parameter objects ({ name, in, required, schema, "x-codigo-erro"? }).
+// Empty query values count as absent, like the handlers treat them. x-codigo-erro keeps the
+// specific error codes clients already handle (CEP_INVALIDO, COORDENADAS_INVALIDAS, ...).
+export function validateParameters(parameters, { searchParams, pathParams = {}, headers = {} }) {
+  const erros = [];
+  for (const param of parameters) {
+    const raw = param.in === "path" ? pathParams[param.name]
+      : param.in === "header" ? headers[param.name.toLowerCase()]
+      : searchParams.get(param.name);
+    const value = (raw ?? "").toString().trim();
+    const found = value === ""
+      ? (param.required ? [{ campo: param.name, mensagem: "é obrigatório" }] : [])
+      : validateValue(param.schema || {}, coerceQueryValue(value, param.schema || {}), param.name);
+    if (found.length && !erros.length) erros.codigo = param["x-codigo-erro"];
+    erros.push(...found);
+  }
+  return erros;
+}
+
+// Error for the { error, message, detalhes } envelope; code defaults to the first failing parameter's
+export function validationError(erros, code = erros.codigo || "PARAMETRO_INVALIDO") {
+  const message = erros.map(e => `${e.campo} ${e.mensagem}`).join("; ");
+  return Object.assign(new Error(message), { status: 400, code, detalhes: erros.map(({ campo, mensagem }) => ({ campo, mensagem })) });
+}
@@ -0,0 +1,63 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { buildFixtureDb, removeDir } from "./helpers.js";
+
+// cli.js as a child process over the fixture database, geocoding with the local CEP table only
+let fixture;
+
+before(async () => {
+  fixture = await buildFixtureDb();
+});
+
+after(() => {
+  if (fixture) removeDir(fixture.dir);
+});
+
+const CLI = new URL("../cli.js", import.meta.url).pathname;
+
+function runCli(args, env = {}) {
+  return promisify(execFile)(process.execPath, [CLI, ...args], {
+    cwd: fixture.dir,
+    env: { ...process.env, INFRA_DB: fixture.dbPath, GEOCODERS: "local", GEOCODE_CACHE: "0", ...env },
+  });
+}
+
+test("enrich appends the match to every row and reports failing rows in erro", async () => {
+  const input = path.join(fixture.dir, "entrada.csv");
+  const output = path.join(fixture.dir, "saida.csv");
+  fs.writeFileSync(input, [
+    "nome;cep;logradouro;numero",
+    "sede;30100001;;",
+    "loja;;av afonso pena;510",
+    "vazia;;;",
+    "sumida;30100009;;",
+  ].join("\n"));
+
+  const { stderr } = await runCli(["enrich", input, output]);
+  assert.match(stderr, /linhas=4 encontrados=2 sem_trecho=0 erros=2/);
+
+  const [header, ...rows] = fs.readFileSync(output, "utf8").trim().split("\r\n").map(l => l.split(";"));
+  const linhas = Object.fromEntries(rows.map(r => [r[0], Object.fromEntries(header.map((h, i) => [h, r[i]]))]));
+  assert.deepEqual(header.slice(0, 7), ["nome", "cep", "logradouro", "numero", "id_base_trecho", "distancia_m", "encontrado"]);
+  assert.deepEqual(header.slice(-2), ["geocodificacao", "erro"]);
+
+  // CEP from the local table, 10 m north of trecho 2001
+  assert.deepEqual([linhas.sede.id_base_trecho, linhas.sede.encontrado, linhas.sede.geocodificacao, linhas.sede.erro], ["2001", "Sim", "local", ""]);
+  assert.equal(linhas.sede.iluminacao, "Sim");
+  // street and number
+  assert.deepEqual([linhas.loja.id_base_trecho, linhas.loja.geocodificacao, linhas.loja.erro], ["2003", "logradouro", ""]);
+  assert.deepEqual([linhas.vazia.id_base_trecho, linhas.vazia.erro], ["", "ENTRADA_VAZIA"]);
+  assert.deepEqual([linhas.sumida.id_base_trecho, linhas.sumida.erro], ["", "CEP_NAO_ENCONTRADO"]);
+});
+
+test("the CLI leaves the geocoding cache off unless GEOCODE_CACHE=1", async () => {
+  const cachePath = path.join(fixture.dir, "cache.db");
+  await runCli(["lookup", "--cep", "30100001"], { GEOCODE_CACHE: undefined, GEOCODE_CACHE_PATH: cachePath });
+  assert.equal(fs.existsSync(cachePath), false);
+  await runCli(["lookup", "--cep", "30100001"], { GEOCODE_CACHE: "1", GEOCODE_CACHE_PATH: cachePath });
+  assert.equal(fs.existsSync(cachePath), true);
+});
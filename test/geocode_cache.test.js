@@ -0,0 +1,64 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openGeocodeCache, withGeocodeCache } from "../src/geocode_cache.js";
+import { createGeocoderChain } from "../src/geocoder.js";
+import { removeDir } from "./helpers.js";
+
+let dir;
+let cache;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "bh-infra-test-"));
+  cache = openGeocodeCache({ dbPath: path.join(dir, "cache.db"), ttlSeconds: 3600, negativeTtlSeconds: 3600 });
+});
+
+after(() => {
+  cache.close();
+  removeDir(dir);
+});
+
+// Stand-in providers answering from a map and counting calls
+function provider(name, answers, extra = {}) {
+  const calls = [];
+  return {
+    name,
+    calls,
+    ...extra,
+    async lookupCep(cep) {
+      calls.push(cep);
+      return answers.get(cep) || null;
+    },
+  };
+}
+
+test("online answers, found or not, are cached per provider", async () => {
+  const viacep = provider("viacep", new Map([["30100001", { cep: "30100001", logradouro: "Rua Um" }]]));
+  const geocoder = withGeocodeCache(createGeocoderChain([viacep]), cache);
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await geocoder.lookupCep("30100001")).fonte, "viacep");
+    await assert.rejects(geocoder.lookupCep("30100009"), { code: "CEP_NAO_ENCONTRADO" });
+  }
+  assert.deepEqual(viacep.calls, ["30100001", "30100009"]);
+});
+
+test("the offline provider is asked every time, so a re-ingested CEP is found at once", async () => {
+  const table = new Map([["30100002", { cep: "30100002", logradouro: "Rua Antiga" }]]);
+  const local = provider("local", table, { offline: true });
+  const viacep = provider("viacep", new Map());
+  const geocoder = withGeocodeCache(createGeocoderChain([local, viacep]), cache);
+
+  assert.equal((await geocoder.lookupCep("30100002")).logradouro, "Rua Antiga");
+  await assert.rejects(geocoder.lookupCep("30100003"), { code: "CEP_NAO_ENCONTRADO" });
+
+  // ingest changes one CEP and adds another
+  table.set("30100002", { cep: "30100002", logradouro: "Rua Nova" });
+  table.set("30100003", { cep: "30100003", logradouro: "Rua Tres" });
+  assert.equal((await geocoder.lookupCep("30100002")).logradouro, "Rua Nova");
+  assert.deepEqual(await geocoder.lookupCep("30100003"), { cep: "30100003", logradouro: "Rua Tres", fonte: "local" });
+  assert.deepEqual(local.calls, ["30100002", "30100003", "30100002", "30100003"]);
+  // viacep was asked once for the CEP the table lacked
+  assert.deepEqual(viacep.calls, ["30100003"]);
+});
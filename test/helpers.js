@@ -0,0 +1,131 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { once } from "events";
+import { execFile, spawn } from "child_process";
+import { promisify } from "util";
+
+// Shared setup for the test files: a fixture database built by the real ingest, the API
+// server as a child process, and local stand-ins for ViaCEP and Nominatim.
+
+const ROOT = new URL("..", import.meta.url).pathname;
+const FIXTURE_DATA = new URL("./fixtures/data", import.meta.url).pathname;
+
+// Copies test/fixtures/data into a temp dir and runs ingest_sqlite.js there.
+// { dir, dbPath, reportPath, output }; a failed run rejects with the error carrying `dir`
+export async function buildFixtureDb(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bh-infra-test-"));
+  fs.cpSync(FIXTURE_DATA, path.join(dir, "data"), { recursive: true });
+  const output = await runIngest(dir, env);
+  return { dir, dbPath: path.join(dir, "infra.db"), reportPath: path.join(dir, "ingest_report.json"), output };
+}
+
+// Runs ingest_sqlite.js again in a fixture dir; resolves with its output
+export async function runIngest(dir, env = {}) {
+  const { stdout, stderr } = await promisify(execFile)(process.execPath, [path.join(ROOT, "ingest_sqlite.js")], {
+    cwd: dir,
+    env: { ...process.env, ...env },
+  }).catch((err) => { throw Object.assign(err, { dir }); });
+  return stdout + stderr;
+}
+
+export function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Starts `node index.js` on a free port against dbPath. { baseUrl, output(), close() }
+export async function startApi({ dbPath, env = {} }) {
+  const child = spawn(process.execPath, [path.join(ROOT, "index.js")], {
+    env: {
+      ...process.env,
+      INFRA_DB: dbPath,
+      PORT: "0",
+      GEOCODERS: "local",
+      GEOCODE_CACHE: "0",
+      DB_WATCH: "0",
+      LOG_REQUESTS: "0",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stderr.on("data", (chunk) => { output += chunk; });
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`API did not start:\n${output}`)), 10000);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      const m = /listening on port (\d+)/.exec(output);
+      if (m) {
+        clearTimeout(timer);
+        resolve(Number(m[1]));
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`API exited with ${code}:\n${output}`));
+    });
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    output: () => output,
+    async close() {
+      if (child.exitCode !== null) return;
+      child.kill();
+      await once(child, "exit");
+    },
+  };
+}
+
+// ViaCEP + Nominatim stand-in on a free port:
+//   ceps:       { [cep]: address }    unknown CEPs answer { erro: true }, like ViaCEP
+//   enderecos:  { [logradouro]: { lat, lon } }   matched against the start of Nominatim's q=
+//   falhas:     { [cep]: "http500" | "lento" }   upstream failures for the resilience tests
+// { url, calls, close() }; calls counts requests per path
+export async function startGeocoderStub({ ceps = {}, enderecos = {}, falhas = {}, delayMs = 1000 } = {}) {
+  const calls = {};
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    calls[url.pathname] = (calls[url.pathname] || 0) + 1;
+    const json = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    const viacep = /^\/ws\/(\d{8})\/json\/$/.exec(url.pathname);
+    if (viacep) {
+      const cep = viacep[1];
+      if (falhas[cep] === "http500") return json(500, { message: "indisponível" });
+      if (falhas[cep] === "lento") return setTimeout(() => json(200, { erro: true }), delayMs);
+      return json(200, ceps[cep] ? { cep, ...ceps[cep] } : { erro: true });
+    }
+    if (url.pathname === "/search") {
+      const q = url.searchParams.get("q") || "";
+      const found = Object.entries(enderecos).find(([logradouro]) => q.startsWith(logradouro));
+      return json(200, found ? [{ lat: String(found[1].lat), lon: String(found[1].lon) }] : []);
+    }
+    json(404, {});
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+}
+
+// fetch that returns { status, headers, body } with the body parsed when it is JSON
+export async function request(baseUrl, pathname, { method = "GET", headers = {}, body } = {}) {
+  const res = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let parsed = text;
+  if ((res.headers.get("content-type") || "").includes("json")) parsed = JSON.parse(text);
+  return { status: res.status, headers: res.headers, body: parsed };
+}
@@ -0,0 +1,313 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { buildFixtureDb, removeDir, startApi, startGeocoderStub, request } from "./helpers.js";
+import { toWgs84 } from "../src/crs.js";
+
+// The API as a child process over the fixture database, with ViaCEP and Nominatim replaced
+// by a local stub. Retries are off and the timeout short so failure paths answer quickly.
+let fixture;
+let stub;
+let api;
+
+// Rua Um in WGS84, 10 m north of trecho 2001
+const RUA_UM = { lat: -19.9201, lon: -43.938971 };
+
+before(async () => {
+  fixture = await buildFixtureDb();
+  stub = await startGeocoderStub({
+    ceps: {
+      30100010: { logradouro: "Rua Dez", bairro: "Centro", localidade: "Belo Horizonte", uf: "MG" },
+      30100011: { logradouro: "Rua Sem Mapa", bairro: "Centro", localidade: "Belo Horizonte", uf: "MG" },
+    },
+    enderecos: { "Rua Dez": RUA_UM },
+    falhas: { 30100500: "http500", 30100501: "lento" },
+  });
+  api = await startApi({
+    dbPath: fixture.dbPath,
+    env: {
+      GEOCODERS: "local,viacep,nominatim",
+      VIACEP_URL: stub.url,
+      NOMINATIM_URL: stub.url,
+      UPSTREAM_RETRIES: "0",
+      UPSTREAM_TIMEOUT_MS: "200",
+      UPSTREAM_BREAKER_THRESHOLD: "1000",
+      BATCH_MAX_ITEMS: "4",
+      AREA_MAX_TRECHOS: "2",
+      AREA_MAX_CALCULOS: "2000",
+      ADMIN_TOKEN: "segredo",
+      RATE_LIMIT_BURST: "1000",
+    },
+  });
+});
+
+after(async () => {
+  await api?.close();
+  await stub?.close();
+  if (fixture) removeDir(fixture.dir);
+});
+
+const get = (path, options) => request(api.baseUrl, path, options);
+const post = (path, body, options = {}) => request(api.baseUrl, path, { ...options, method: "POST", body });
+
+async function assertError(promise, status, code) {
+  const res = await promise;
+  assert.equal(res.status, status, JSON.stringify(res.body));
+  assert.equal(res.body.error, code);
+  assert.equal(typeof res.body.message, "string");
+  return res;
+}
+
+test("GET /infra answers from the local CEP table", async () => {
+  const res = await get("/infra?cep=30100-001");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.cep, "30100001");
+  assert.equal(res.body.logradouro, "Rua Um");
+  assert.equal(res.body.match.id_base_trecho, "2001");
+  assert.equal(res.body.match.encontrado, true);
+  assert.deepEqual(res.body.match.geocodificacao, { fonte: "local", precisao: "cep", fonte_endereco: "local" });
+  assert.equal(res.body.servicos.rede_esgoto.disponivel, "Sim");
+  assert.equal(stub.calls["/ws/30100001/json/"], undefined);
+});
+
+test("GET /infra falls through to ViaCEP and Nominatim", async () => {
+  const res = await get("/infra?cep=30100010");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.logradouro, "Rua Dez");
+  assert.equal(res.body.match.id_base_trecho, "2001");
+  assert.deepEqual(res.body.match.geocodificacao, { fonte: "nominatim", precisao: "logradouro", fonte_endereco: "viacep" });
+  assert.equal(stub.calls["/ws/30100010/json/"], 1);
+});
+
+test("a CEP far from every trecho answers without services", async () => {
+  const res = await get("/infra?cep=30100004");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.match.encontrado, false);
+  assert.equal(res.body.servicos.rede_esgoto.disponivel, "não encontrado");
+});
+
+test("CEP and geocoding errors", async () => {
+  await assertError(get("/infra?cep=123"), 400, "CEP_INVALIDO");
+  await assertError(get("/infra?cep=30100099"), 404, "CEP_NAO_ENCONTRADO");
+  // known address, but neither the local table nor Nominatim has a point for it
+  await assertError(get("/infra?cep=30100002"), 404, "GEOCODE_NAO_ENCONTRADO");
+  await assertError(get("/infra?cep=30100011"), 404, "GEOCODE_NAO_ENCONTRADO");
+});
+
+test("an upstream failure is a 502", async () => {
+  const http500 = await assertError(get("/infra?cep=30100500"), 502, "UPSTREAM_INDISPONIVEL");
+  assert.match(http500.body.message, /viacep/);
+  const lento = await assertError(get("/infra?cep=30100501"), 502, "UPSTREAM_INDISPONIVEL");
+  assert.match(lento.body.message, /sem resposta/);
+});
+
+test("GET /infra by street and number resolves to the numbered segment", async () => {
+  // Afonso Pena: 2001 holds 1–100, 2003 holds 501–600
+  const res = await get("/infra?logradouro=Av.%20Afonso%20Pena&numero=550");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.cep, null);
+  assert.equal(res.body.logradouro, "AVENIDA AFONSO PENA");
+  assert.equal(res.body.match.id_base_trecho, "2003");
+  assert.equal(res.body.match.distancia_m, 0);
+  assert.deepEqual(res.body.match.geocodificacao, { fonte: "logradouro", precisao: "numero", codigo_logradouro: "100", numero: 550, lado: "direito" });
+  assert.equal((await get("/infra?codigo_logradouro=200&numero=150")).body.match.id_base_trecho, "2002");
+
+  await assertError(get("/infra?logradouro=afonso%20pena&numero=300"), 404, "NUMERO_NAO_ENCONTRADO");
+  await assertError(get("/infra?logradouro=rua%20inexistente&numero=3"), 404, "LOGRADOURO_NAO_ENCONTRADO");
+  await assertError(get("/infra?logradouro=afonso%20pena"), 400, "PARAMETRO_INVALIDO");
+  await assertError(get("/infra?logradouro=afonso%20pena&numero=abc"), 400, "PARAMETRO_INVALIDO");
+});
+
+test("GET /logradouros autocompletes street names", async () => {
+  const res = await get("/logradouros?q=av%20afon");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, {
+    q: "av afon",
+    total: 1,
+    logradouros: [{ codigo: "100", logradouro: "AVENIDA AFONSO PENA", tipo: "AVENIDA", nome: "AFONSO PENA", numeracao: { inicial: 1, final: 600 }, trechos: 2 }],
+  });
+  assert.equal((await get("/logradouros?q=guaj")).body.logradouros[0].codigo, "200");
+  await assertError(get("/logradouros?q=a"), 400, "PARAMETRO_INVALIDO");
+  await assertError(get("/logradouros"), 400, "PARAMETRO_INVALIDO");
+  await assertError(get("/logradouros?q=afonso&limite=0"), 400, "PARAMETRO_INVALIDO");
+});
+
+test("GET /infra/point validates coordinates and parameters", async () => {
+  const ok = await get(`/infra/point?lat=${RUA_UM.lat}&lon=${RUA_UM.lon}`);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.match.id_base_trecho, "2001");
+  assert.equal((await get("/infra/point?x=611050&y=7797050")).body.match.encontrado, true);
+  assert.equal((await get("/infra/point?x=611050&y=7797050&limiar=49")).body.match.encontrado, false);
+
+  await assertError(get("/infra/point?lat=abc&lon=-43.9"), 400, "COORDENADAS_INVALIDAS");
+  await assertError(get("/infra/point?lat=-19.9"), 400, "COORDENADAS_INVALIDAS");
+  await assertError(get("/infra/point?x=611050&y=7797050&modo=outro"), 400, "PARAMETRO_INVALIDO");
+  await assertError(get("/infra/point?x=611050&y=7797050&limiar=-1"), 400, "PARAMETRO_INVALIDO");
+  await assertError(get("/infra/point?x=611050&y=7797050&data_referencia=2025-02-30"), 400, "PARAMETRO_INVALIDO");
+  await assertError(get("/snapshots/diff?de=2025-01-01&para=2025-02-30"), 400, "PARAMETRO_INVALIDO");
+
+  // enum values are not case-sensitive
+  const upper = await get("/infra/point?x=611050&y=7797050&formato=MAQUINA&modo=TODOS");
+  assert.equal(upper.status, 200);
+  assert.equal(upper.body.servicos.rede_esgoto.status, "available");
+  assert.ok(Array.isArray(upper.body.trechos));
+});
+
+test("formato=maquina carries no Portuguese text", async () => {
+  // 2003: paving N without a type
+  const res = await get("/infra/point?x=611550&y=7797010&formato=maquina&indice=1");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.servicos.pavimentacao, { status: "unavailable", disponivel: false, tipo: null, data_apuracao: null });
+  for (const componente of Object.values(res.body.indice.componentes)) {
+    assert.deepEqual(Object.keys(componente).sort(), ["disponivel", "peso", "pontos", "status"]);
+  }
+  const texto = await get("/infra/point?x=611550&y=7797010&indice=1");
+  assert.equal(texto.body.servicos.pavimentacao.tipo, "não informado");
+  assert.match(texto.body.indice.componentes.pavimentacao.explicacao, /pontos/);
+});
+
+test("Accept-Language translates placeholder values too", async () => {
+  for (const [idioma, tipo] of [["en", "Not informed"], ["es", "No informado"]]) {
+    const res = await request(api.baseUrl, "/infra/point?x=611550&y=7797010", { headers: { "Accept-Language": idioma } });
+    assert.equal(res.headers.get("content-language"), idioma);
+    assert.equal(res.body.servicos.pavimentacao.disponivel, "No");
+    assert.equal(res.body.servicos.pavimentacao.tipo, tipo);
+  }
+});
+
+test("routing errors", async () => {
+  await assertError(get("/nao-existe"), 404, "ROTA_NAO_ENCONTRADA");
+  const res = await assertError(request(api.baseUrl, "/infra", { method: "DELETE" }), 405, "METODO_NAO_PERMITIDO");
+  assert.equal(res.headers.get("allow"), "GET");
+  await assertError(get("/trechos/%E0"), 400, "PARAMETRO_INVALIDO");
+});
+
+test("POST /infra/batch body errors", async () => {
+  await assertError(post("/infra/batch", "{"), 400, "JSON_INVALIDO");
+  await assertError(post("/infra/batch", []), 400, "LOTE_INVALIDO");
+  await assertError(post("/infra/batch", { cep: "30100001" }), 400, "LOTE_INVALIDO");
+  await assertError(post("/infra/batch", Array(5).fill("30100001")), 413, "LOTE_EXCEDE_LIMITE");
+  await assertError(post("/infra/batch", JSON.stringify(["x".repeat(1024 * 1024)])), 413, "CORPO_EXCEDE_LIMITE");
+});
+
+test("an oversized body is answered at once and the connection closed", async () => {
+  // announces 8 MiB but sends 2 MiB and stalls: the server must not wait for the rest
+  const req = http.request(`${api.baseUrl}/infra/batch`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Content-Length": String(8 * 1024 * 1024) },
+  });
+  req.on("error", () => {});
+  req.write("[" + '"x",'.repeat(512 * 1024));
+  const [res] = await once(req, "response");
+  assert.equal(res.statusCode, 413);
+  assert.equal(res.headers.connection, "close");
+  res.resume();
+  await once(req, "close");
+  assert.equal(req.writableFinished, false);
+});
+
+test("POST /infra/batch reports item errors individually", async () => {
+  const res = await post("/infra/batch", ["30100001", "123", [1, 2], { logradouro: "afonso pena", numero: 51 }]);
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.total, res.body.sucesso, res.body.erros], [4, 2, 2]);
+  const [ok, cepInvalido, itemInvalido] = res.body.resultados;
+  assert.equal(ok.resultado.match.id_base_trecho, "2001");
+  assert.equal(cepInvalido.error, "CEP_INVALIDO");
+  assert.equal(itemInvalido.error, "ITEM_INVALIDO");
+  const [coordenadas] = (await post("/infra/batch", [{ lat: "abc", lon: 1 }])).body.resultados;
+  assert.equal(coordenadas.error, "COORDENADAS_INVALIDAS");
+});
+
+test("POST /infra/area errors", async () => {
+  await assertError(post("/infra/area", {}), 400, "AREA_INVALIDA");
+  await assertError(post("/infra/area", { geometria: { type: "Point", coordinates: [RUA_UM.lon, RUA_UM.lat] } }), 400, "AREA_INVALIDA");
+  // LineString without buffer_m
+  await assertError(post("/infra/area", { geometria: { type: "LineString", coordinates: [[-43.9404, -19.9211], [-43.9328, -19.9174]] } }), 400, "AREA_INVALIDA");
+  // covers all three fixture trechos; AREA_MAX_TRECHOS is 2
+  const ring = [[-43.9404, -19.9211], [-43.9328, -19.9211], [-43.9328, -19.9174], [-43.9404, -19.9174], [-43.9404, -19.9211]];
+  await assertError(post("/infra/area", { geometria: { type: "Polygon", coordinates: [ring] } }), 413, "AREA_EXCEDE_LIMITE");
+
+  // a corridor along 2001 (100 m: 20 samples); AREA_MAX_CALCULOS is 2000
+  const along = (n) => Array.from({ length: n }, (_, k) => toWgs84([611000 + (100 * k) / (n - 1), 7797000]));
+  const corridor = await post("/infra/area", { geometria: { type: "LineString", coordinates: along(2) }, buffer_m: 5 });
+  assert.equal(corridor.status, 200);
+  assert.deepEqual(corridor.body.trechos.map(t => t.id_base_trecho), ["2001"]);
+  // the same corridor with 200 vertices: 20 x 199 computations
+  await assertError(post("/infra/area", { geometria: { type: "LineString", coordinates: along(200) }, buffer_m: 5 }), 413, "AREA_EXCEDE_LIMITE");
+});
+
+test("trecho routes", async () => {
+  await assertError(get("/trechos?bbox=abc"), 400, "BBOX_INVALIDO");
+  await assertError(get("/trechos?bbox=-43.94,-19.92,-43.93"), 400, "BBOX_INVALIDO");
+  await assertError(get("/trechos/9999"), 404, "TRECHO_NAO_ENCONTRADO");
+  await assertError(get("/trechos/9999/historico"), 404, "TRECHO_NAO_ENCONTRADO");
+
+  const trecho = await get("/trechos/2001");
+  assert.equal(trecho.status, 200);
+  assert.equal(trecho.body.features[0].properties.id_base_trecho, "2001");
+  const historico = await get("/trechos/2001/historico");
+  assert.equal(historico.status, 200);
+  assert.equal(historico.body.servicos.rede_esgoto.desde, "2025-02-01");
+});
+
+test("GET /coleta errors", async () => {
+  const ics = await get("/coleta?x=611050&y=7797010");
+  assert.equal(ics.status, 200);
+  assert.match(ics.headers.get("content-type"), /text\/calendar/);
+  await assertError(get("/coleta?x=611050&y=7796000"), 404, "TRECHO_NAO_ENCONTRADO");
+  // 2003: SEM COLETA
+  await assertError(get("/coleta?x=611550&y=7797010"), 404, "COLETA_INDISPONIVEL");
+});
+
+test("admin routes need the token", async () => {
+  await assertError(get("/admin/dataset"), 401, "NAO_AUTORIZADO");
+  await assertError(get("/admin/dataset", { headers: { Authorization: "Bearer errado" } }), 401, "NAO_AUTORIZADO");
+  assert.equal((await get("/admin/dataset", { headers: { Authorization: "Bearer segredo" } })).status, 200);
+});
+
+test("GET /health reports the dataset and the geocoder circuits", async () => {
+  const res = await get("/health");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ok");
+});
+
+test("over the rate limit requests get 429 with Retry-After", async () => {
+  const limited = await startApi({ dbPath: fixture.dbPath, env: { RATE_LIMIT_RPS: "0.1", RATE_LIMIT_BURST: "2" } });
+  try {
+    const path = "/infra/point?x=611050&y=7797010";
+    assert.equal((await request(limited.baseUrl, path)).status, 200);
+    assert.equal((await request(limited.baseUrl, path)).status, 200);
+    const res = await request(limited.baseUrl, path);
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, "LIMITE_EXCEDIDO");
+    assert.ok(Number(res.headers.get("retry-after")) >= 1);
+    // operational routes are not limited
+    assert.equal((await request(limited.baseUrl, "/health")).status, 200);
+  } finally {
+    await limited.close();
+  }
+});
+
+test("past the concurrency limit requests get 503", async () => {
+  // one slot, held by a CEP whose ViaCEP answer takes a second
+  const busy = await startApi({
+    dbPath: fixture.dbPath,
+    env: { MAX_CONCURRENT_REQUESTS: "1", GEOCODERS: "viacep", VIACEP_URL: stub.url, UPSTREAM_RETRIES: "0", UPSTREAM_TIMEOUT_MS: "3000" },
+  });
+  try {
+    assert.equal((await request(busy.baseUrl, "/infra/point?x=611050&y=7797010")).status, 200);
+    const slow = request(busy.baseUrl, "/infra?cep=30100501");
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const res = await request(busy.baseUrl, "/infra/point?x=611050&y=7797010");
+    assert.equal(res.status, 503);
+    assert.equal(res.body.error, "SERVIDOR_OCUPADO");
+    assert.equal(res.headers.get("retry-after"), "1");
+    // operational routes are always admitted
+    assert.equal((await request(busy.baseUrl, "/health")).status, 200);
+    assert.equal((await slow).status, 404);
+    assert.equal((await request(busy.baseUrl, "/infra/point?x=611050&y=7797010")).status, 200);
+  } finally {
+    await busy.close();
+  }
+});
@@ -0,0 +1,172 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import Database from "better-sqlite3";
+import { normalizeDateValue } from "../src/datasets.js";
+import { diffSnapshots } from "../src/history.js";
+import { buildFixtureDb, runIngest, removeDir } from "./helpers.js";
+
+// test/fixtures/data holds two snapshots (2025-01-01: esgoto only; 2025-02-01: everything)
+// with duplicated rows that exercise the merge rule of each column.
+let fixture;
+let db;
+
+before(async () => {
+  fixture = await buildFixtureDb();
+  db = new Database(fixture.dbPath, { readonly: true });
+});
+
+after(() => {
+  db?.close();
+  if (fixture) removeDir(fixture.dir);
+});
+
+const trecho = (id) => db.prepare("SELECT * FROM trecho_data WHERE id_base_trecho = ?").get(id);
+
+test("ingest activates a versioned database with every trecho, feature and CEP", () => {
+  assert.match(fs.readlinkSync(fixture.dbPath), /^infra-\d{8}T\d{9}Z\.db$/);
+  assert.equal(db.prepare("SELECT COUNT(*) AS c FROM trecho_data").get().c, 3);
+  assert.equal(db.prepare("SELECT COUNT(*) AS c FROM trecho_geom").get().c, 3);
+  assert.equal(db.prepare("SELECT COUNT(*) AS c FROM cep").get().c, 3);
+  assert.deepEqual(db.prepare("SELECT camada, COUNT(*) AS c FROM feature GROUP BY camada ORDER BY camada").all(), [
+    { camada: "centro_saude", c: 1 },
+    { camada: "regional", c: 1 },
+  ]);
+  assert.equal(db.prepare("SELECT v FROM meta WHERE k = 'snapshot'").get().v, "2025-02-01");
+});
+
+test("merge overwrite: the last row of a trecho wins, even when empty", () => {
+  // ilum_publica: 2001 N then S; 2002 N then empty
+  assert.equal(trecho("2001").ind_ip, "S");
+  assert.equal(trecho("2002").ind_ip, "");
+});
+
+test("merge coalesce: an empty value keeps the previous one", () => {
+  // pavimentacao: 2001 S/ASFALTO then an empty row
+  assert.equal(trecho("2001").ind_pav, "S");
+  assert.equal(trecho("2001").tp_pav, "ASFALTO");
+  // rede_agua: 2001 S then empty
+  assert.equal(trecho("2001").ind_rdagu, "S");
+});
+
+test("merge latest: the greatest normalized date wins, invalid dates are dropped", () => {
+  // rede_agua: 01/03/2024 (DD/MM/YYYY) then 2023-01-10
+  assert.equal(trecho("2001").data_rdagu, "2024-03-01 00:00:00");
+  // "ontem" is not a date
+  assert.equal(trecho("2002").data_rdagu, null);
+});
+
+test("a missing survey date is NULL, never an empty string", () => {
+  // the lighting file has no date cell for 2001
+  assert.equal(trecho("2001").data_ip, null);
+  const dateColumns = db.prepare(`SELECT name FROM pragma_table_info('trecho_data') WHERE name LIKE 'data\\_%' ESCAPE '\\'`).pluck().all();
+  assert.ok(dateColumns.length > 0);
+  for (const column of dateColumns) {
+    assert.equal(db.prepare(`SELECT COUNT(*) AS c FROM trecho_data WHERE ${column} = ''`).get().c, 0, column);
+  }
+});
+
+test("street names and numbering are ingested per trecho", () => {
+  const { cod_logradouro, tipo_logradouro, nome_logradouro, num_inicial_dir, num_final_dir } = trecho("2003");
+  assert.deepEqual([cod_logradouro, tipo_logradouro, nome_logradouro, num_inicial_dir, num_final_dir], ["100", "AVE", "AFONSO PENA", "502", "600"]);
+});
+
+test("only the latest snapshot of each dataset feeds trecho_data", () => {
+  // rede_esgoto 2025-01-01 had 2001 = N; 2025-02-01 has S
+  assert.equal(trecho("2001").ind_rdesg, "S");
+  assert.equal(trecho("2001").data_rdesg, "2025-01-20 00:00:00");
+});
+
+test("history records each snapshot where a field changed", () => {
+  const changes = db.prepare(`
+    SELECT snapshot_data, valor FROM trecho_historico WHERE id_base_trecho = '2001' AND campo = 'ind_rdesg' ORDER BY snapshot_data
+  `).all();
+  assert.deepEqual(changes, [{ snapshot_data: "2025-01-01", valor: "N" }, { snapshot_data: "2025-02-01", valor: "S" }]);
+  // unchanged between snapshots: a single entry
+  assert.equal(db.prepare(`SELECT COUNT(*) AS c FROM trecho_historico WHERE id_base_trecho = '2002' AND campo = 'ind_rdesg'`).get().c, 1);
+  assert.deepEqual(db.prepare("SELECT data FROM snapshot ORDER BY data").all().map(r => r.data), ["2025-01-01", "2025-02-01"]);
+});
+
+test("empty cells are recorded as no value, so the diff only lists real changes", () => {
+  assert.equal(db.prepare(`SELECT COUNT(*) AS c FROM trecho_historico WHERE valor = ''`).get().c, 0);
+  const { alterados } = diffSnapshots(db, "2025-01-01", "2025-02-01");
+  const campos = (id) => alterados.find(a => a.id_base_trecho === id).campos;
+  // 2001 has no collection or lighting date in the new files: nothing to report
+  assert.equal(campos("2001").data_coleta, undefined);
+  assert.equal(campos("2001").data_ip, undefined);
+  assert.deepEqual(campos("2001").ind_rdesg, { de: "N", para: "S" });
+  // 2003's sewage cell went from S to empty
+  assert.deepEqual(campos("2003").ind_rdesg, { de: "S", para: null });
+});
+
+test("history only holds status columns, merged like trecho_data", () => {
+  const campos = db.prepare(`SELECT DISTINCT campo FROM trecho_historico ORDER BY campo`).pluck().all();
+  assert.ok(campos.includes("ind_ip") && campos.includes("tp_pav") && campos.includes("programacao"));
+  for (const campo of campos) assert.doesNotMatch(campo, /^(data_|cod_logradouro|nome_logradouro|num_)/);
+
+  // ind_ip is an overwrite column: 2002's second row is empty and wins, in both tables
+  const historico = db.prepare(`SELECT valor FROM trecho_historico WHERE id_base_trecho = '2002' AND campo = 'ind_ip'`).pluck().all();
+  assert.equal(trecho("2002").ind_ip, "");
+  assert.deepEqual(historico, []);
+  // coalesce keeps 2001's non-empty paving over the empty duplicate
+  const pav = db.prepare(`SELECT valor FROM trecho_historico WHERE id_base_trecho = '2001' AND campo = 'ind_pav'`).pluck().all();
+  assert.deepEqual(pav, [trecho("2001").ind_pav]);
+});
+
+test("quality report flags unknown indicators, conflicting duplicates and invalid dates", () => {
+  const report = JSON.parse(fs.readFileSync(fixture.reportPath, "utf8"));
+  const checks = (arquivo) => report.arquivos.find(a => a.arquivo === arquivo).checks;
+  assert.deepEqual(checks("20250201_trecho_ilum_publica.csv").indicador_desconhecido.exemplos, ["2003"]);
+  // 2001: N then S; 2002: N then empty, which overwrite merges without ambiguity
+  assert.deepEqual(checks("20250201_trecho_ilum_publica.csv").duplicado_conflitante.exemplos, ["2001"]);
+  assert.deepEqual(checks("20250201_trecho_ilum_publica.csv").duplicado_mesclado.exemplos, ["2002"]);
+  // empty cells (coalesce) and an older date (latest) merge cleanly
+  assert.equal(checks("20250201_trecho_pavimentacao.csv").duplicado_conflitante.quantidade, 0);
+  assert.equal(checks("20250201_trecho_rede_agua.csv").duplicado_conflitante.quantidade, 0);
+  assert.deepEqual(checks("20250201_trecho_rede_agua.csv").duplicado_mesclado.exemplos, ["2001"]);
+  assert.deepEqual(checks("20250201_trecho_rede_agua.csv").data_invalida.exemplos, ["2002: data_rdagu=ontem"]);
+  assert.ok(report.violacoes.some(v => v.arquivo === "20250201_trecho_ilum_publica.csv" && v.verificacao === "indicador_desconhecido"));
+  assert.ok(report.violacoes.some(v => v.arquivo === "20250201_trecho_rede_agua.csv" && v.verificacao === "data_invalida"));
+});
+
+test("survey dates are stored in Belo Horizonte time and impossible dates are rejected", () => {
+  assert.equal(normalizeDateValue("2025-08-01"), "2025-08-01 00:00:00");
+  assert.equal(normalizeDateValue("15/03/2025 10:20"), "2025-03-15 10:20:00");
+  assert.equal(normalizeDateValue("2024-02-29"), "2024-02-29 00:00:00");
+  // offsets are converted, not dropped
+  assert.equal(normalizeDateValue("2025-08-01T12:00:00Z"), "2025-08-01 09:00:00");
+  assert.equal(normalizeDateValue("2025-08-01T12:00:00-03:00"), "2025-08-01 12:00:00");
+  assert.equal(normalizeDateValue("2025-01-01T01:30:00+0100"), "2024-12-31 21:30:00");
+  for (const v of ["2025-02-30", "31/02/2025", "2025-13-01", "2025-08-01 25:99:99", "2025-08-01 23:60", "ontem"]) {
+    assert.equal(normalizeDateValue(v), null, v);
+  }
+  assert.equal(normalizeDateValue(" "), "");
+});
+
+test("strict mode fails the run without activating a database", async () => {
+  const err = await buildFixtureDb({ INGEST_STRICT: "1" }).catch(e => e);
+  try {
+    assert.ok(err instanceof Error);
+    assert.match(String(err.stderr), /strict mode/);
+    assert.equal(fs.existsSync(`${err.dir}/infra.db`), false);
+  } finally {
+    removeDir(err.dir);
+  }
+});
+
+test("pruning keeps the version a running server may still have open", async () => {
+  const { dir } = await buildFixtureDb({ INGEST_KEEP_VERSIONS: "1" });
+  try {
+    const first = fs.readlinkSync(`${dir}/infra.db`);
+    await runIngest(dir, { INGEST_KEEP_VERSIONS: "1" });
+    const second = fs.readlinkSync(`${dir}/infra.db`);
+    assert.notEqual(second, first);
+    const versions = () => fs.readdirSync(dir).filter(f => /^infra-.*\.db$/.test(f)).sort();
+    assert.deepEqual(versions(), [first, second]);
+
+    await runIngest(dir, { INGEST_KEEP_VERSIONS: "1" });
+    assert.deepEqual(versions(), [second, fs.readlinkSync(`${dir}/infra.db`)]);
+  } finally {
+    removeDir(dir);
+  }
+});
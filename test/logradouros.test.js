@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildStreetIndex, searchStreets, resolveAddress, foldStreetName } from "../src/logradouros.js";
+import { pointAlongLine } from "../src/geometry.js";
+
+// In-memory trechos shaped like loadTrechoIndex items (EPSG:31983)
+const line = (x0, y0, x1, y1) => ({ type: "LineString", coordinates: [[x0, y0], [x1, y1]] });
+const trecho = (id, cod, tipo, nome, [ie, fe, id_, fd], geom) => ({
+  id_base_trecho: id, cod_logradouro: cod, tipo_logradouro: tipo, nome_logradouro: nome,
+  num_inicial_esq: ie, num_final_esq: fe, num_inicial_dir: id_, num_final_dir: fd, geom,
+});
+
+const items = [
+  // a long avenue: two segments 3 km apart
+  trecho("1", "10", "AVE", "AFONSO PENA", ["1", "99", "2", "100"], line(0, 0, 100, 0)),
+  trecho("2", "10", "AVE", "AFONSO PENA", ["3001", "3099", "3002", "3100"], line(3000, 0, 3100, 0)),
+  // drawn against the numbering
+  trecho("3", "20", "RUA", "ÁLVARES CABRAL", ["199", "101", "198", "100"], line(0, 500, 100, 500)),
+  // two streets named Rua Um, told apart by their numbering
+  trecho("4", "30", "RUA", "UM", ["1", "49", "2", "50"], line(0, 1000, 100, 1000)),
+  trecho("5", "31", "RUA", "UM", ["51", "99", "52", "100"], line(0, 2000, 100, 2000)),
+  trecho("6", "32", "R", "UM", ["1", "29", "2", "30"], line(0, 3000, 100, 3000)),
+  trecho("7", "40", "ALA", "DAS PALMEIRAS", ["", "", "", ""], line(0, 4000, 100, 4000)),
+  // no street data
+  { id_base_trecho: "8", geom: line(0, 5000, 100, 5000) },
+];
+const trechoData = { items, logradouros: buildStreetIndex(items) };
+
+test("foldStreetName drops accents, case and punctuation", () => {
+  assert.equal(foldStreetName("  Rua Álvares-Cabral, "), "RUA ALVARES CABRAL");
+  assert.equal(foldStreetName("Pça. Sete"), "PCA SETE");
+});
+
+test("the street index groups segments by code and expands abbreviated types", () => {
+  const { ruas } = trechoData.logradouros;
+  assert.equal(ruas.length, 6);
+  const afonso = ruas.find(r => r.codigo === "10");
+  assert.equal(afonso.logradouro, "AVENIDA AFONSO PENA");
+  assert.deepEqual(afonso.trechos, [0, 1]);
+  assert.deepEqual(afonso.numeracao, { inicial: 1, final: 3100 });
+  assert.equal(ruas.find(r => r.codigo === "40").numeracao, null);
+});
+
+test("searchStreets matches word prefixes, names starting with q first", () => {
+  assert.deepEqual(searchStreets(trechoData.logradouros, "afon", 10).logradouros.map(r => r.codigo), ["10"]);
+  assert.deepEqual(searchStreets(trechoData.logradouros, "pena afonso", 10).logradouros.map(r => r.codigo), ["10"]);
+  assert.deepEqual(searchStreets(trechoData.logradouros, "alvares", 10).logradouros.map(r => r.codigo), ["20"]);
+  // "al" is both a type abbreviation (alameda) and the start of Álvares
+  assert.deepEqual(searchStreets(trechoData.logradouros, "al", 10).logradouros.map(r => r.codigo), ["40", "20"]);
+  assert.deepEqual(searchStreets(trechoData.logradouros, "av af", 10).logradouros.map(r => r.codigo), ["10"]);
+  const um = searchStreets(trechoData.logradouros, "rua um", 2);
+  assert.equal(um.total, 3);
+  assert.equal(um.logradouros.length, 2);
+  assert.deepEqual(searchStreets(trechoData.logradouros, "xyz", 10), { total: 0, logradouros: [] });
+});
+
+test("resolveAddress places the number on its segment by interpolation", () => {
+  const near = resolveAddress(trechoData, { logradouro: "Av. Afonso Pena", numero: "50" });
+  assert.equal(near.trecho.id_base_trecho, "1");
+  assert.equal(near.geocodificacao.lado, "direito");
+  assert.equal(near.x, 48 / 98 * 100);
+
+  // the far end of the avenue, not its middle
+  const far = resolveAddress(trechoData, { logradouro: "afonso pena", numero: 3051 });
+  assert.equal(far.trecho.id_base_trecho, "2");
+  assert.equal(far.geocodificacao.lado, "esquerdo");
+  assert.equal(far.x, 3000 + 50 / 98 * 100);
+  assert.deepEqual(far.geocodificacao, { fonte: "logradouro", precisao: "numero", codigo_logradouro: "10", numero: 3051, lado: "esquerdo" });
+});
+
+test("numbers decreasing along the geometry are placed from the other end", () => {
+  const point = resolveAddress(trechoData, { logradouro: "rua alvares cabral", numero: 175 });
+  // 199 at x=0 down to 101 at x=100
+  assert.equal(point.x, 24 / 98 * 100);
+  assert.equal(point.y, 500);
+});
+
+test("streets sharing a name are told apart by the number or the code", () => {
+  assert.equal(resolveAddress(trechoData, { logradouro: "rua um", numero: 70 }).trecho.id_base_trecho, "5");
+  assert.throws(() => resolveAddress(trechoData, { logradouro: "rua um", numero: 10 }), (err) => {
+    assert.equal(err.status, 400);
+    assert.equal(err.code, "LOGRADOURO_AMBIGUO");
+    assert.deepEqual(err.detalhes.map(d => d.mensagem), ["30: RUA UM", "32: RUA UM"]);
+    return true;
+  });
+  assert.equal(resolveAddress(trechoData, { codigo: "32", numero: 10 }).trecho.id_base_trecho, "6");
+});
+
+test("resolveAddress errors", () => {
+  assert.throws(() => resolveAddress(trechoData, { logradouro: "rua dois", numero: 1 }), { status: 404, code: "LOGRADOURO_NAO_ENCONTRADO" });
+  assert.throws(() => resolveAddress(trechoData, { codigo: "99", numero: 1 }), { status: 404, code: "LOGRADOURO_NAO_ENCONTRADO" });
+  assert.throws(() => resolveAddress(trechoData, { logradouro: "afonso pena", numero: 500 }), { status: 404, code: "NUMERO_NAO_ENCONTRADO" });
+  assert.throws(() => resolveAddress(trechoData, { logradouro: "alameda das palmeiras", numero: 1 }), { status: 404, code: "NUMERO_NAO_ENCONTRADO" });
+  assert.throws(() => resolveAddress(trechoData, { logradouro: "afonso pena" }), { status: 400, code: "PARAMETRO_INVALIDO" });
+  assert.throws(() => resolveAddress(trechoData, { logradouro: "afonso pena", numero: "12A" }), { status: 400, code: "PARAMETRO_INVALIDO" });
+  assert.throws(() => resolveAddress(trechoData, { numero: 1 }), { status: 400, code: "PARAMETRO_INVALIDO" });
+});
+
+test("pointAlongLine walks every part of a multiline", () => {
+  const geom = { type: "MultiLineString", coordinates: [[[0, 0], [10, 0]], [[10, 0], [10, 30]]] };
+  assert.deepEqual(pointAlongLine(geom, 0), [0, 0]);
+  assert.deepEqual(pointAlongLine(geom, 0.5), [10, 10]);
+  assert.deepEqual(pointAlongLine(geom, 1), [10, 30]);
+  assert.equal(pointAlongLine({ type: "Point", coordinates: [0, 0] }, 0.5), null);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadTrechoIndex } from "../src/trecho_index.js";
+import { lookupPoint, findNearestTrecho, resolvePointParams, sanitizeCep } from "../src/lookup.js";
+import { buildFixtureDb, removeDir } from "./helpers.js";
+
+// Fixture trechos (EPSG:31983): 2001 runs 611000→611100 at y=7797000, 2002 the same at
+// y=7797200 and 2003 611500→611600 at y=7797000.
+let fixture;
+let trechoData;
+
+before(async () => {
+  fixture = await buildFixtureDb();
+  trechoData = loadTrechoIndex(fixture.dbPath);
+});
+
+after(() => {
+  if (fixture) removeDir(fixture.dir);
+});
+
+const at = (x, y) => ({ cep: null, via: {}, lon: 0, lat: 0, x, y });
+
+test("findNearestTrecho picks the closest segment", () => {
+  assert.equal(findNearestTrecho(trechoData, [611050, 7797080]).bestItem.id_base_trecho, "2001");
+  assert.equal(findNearestTrecho(trechoData, [611050, 7797120]).bestItem.id_base_trecho, "2002");
+  // past the end of 2001 the distance is to its endpoint
+  const { bestItem, bestDist } = findNearestTrecho(trechoData, [611130, 7797040]);
+  assert.equal(bestItem.id_base_trecho, "2001");
+  assert.equal(bestDist, 50);
+});
+
+test("a segment exactly at the threshold matches, one just beyond does not", () => {
+  const onEdge = lookupPoint(trechoData, at(611050, 7797050));
+  assert.equal(onEdge.match.distancia_m, 50);
+  assert.equal(onEdge.match.limiar_m, 50);
+  assert.equal(onEdge.match.encontrado, true);
+  assert.equal(onEdge.servicos.rede_esgoto.disponivel, "Sim");
+
+  const beyond = lookupPoint(trechoData, at(611050, 7797050.01));
+  assert.equal(beyond.match.id_base_trecho, "2001");
+  assert.equal(beyond.match.encontrado, false);
+  assert.equal(beyond.servicos.rede_esgoto.disponivel, "não encontrado");
+
+  assert.equal(lookupPoint(trechoData, at(611050, 7797050), { limiar: 49 }).match.encontrado, false);
+  assert.equal(lookupPoint(trechoData, at(611050, 7797080), { limiar: 80 }).match.encontrado, true);
+});
+
+test("a point with no segment within the search radius has no match at all", () => {
+  const far = lookupPoint(trechoData, at(611050, 7790000));
+  assert.equal(far.match.id_base_trecho, null);
+  assert.equal(far.match.distancia_m, null);
+  assert.equal(far.match.encontrado, false);
+});
+
+test("servicos of the matched segment follow the merged data", () => {
+  const { servicos } = lookupPoint(trechoData, at(611050, 7797010), { dataReferencia: "2025-02-04" });
+  assert.equal(servicos.iluminacao.disponivel, "Sim");
+  assert.equal(servicos.pavimentacao.disponivel, "Sim");
+  assert.equal(servicos.pavimentacao.tipo, "ASFALTO");
+  assert.equal(servicos.coleta_seletiva.agenda.proxima_coleta, "2025-02-06");
+
+  // 2002: empty paving indicator, POLIEDRO type
+  assert.equal(lookupPoint(trechoData, at(611050, 7797190)).servicos.pavimentacao.disponivel, "Sim");
+  // 2003: X is not a known indicator
+  assert.equal(lookupPoint(trechoData, at(611550, 7797010)).servicos.iluminacao.disponivel, "não encontrado");
+});
+
+test("modo todos lists every segment within the radius and aggregates them", () => {
+  const res = lookupPoint(trechoData, at(611050, 7797080), { modo: "todos", raio: 150 });
+  assert.deepEqual(res.trechos.map(t => [t.id_base_trecho, t.distancia_m]), [["2001", 80], ["2002", 120]]);
+  // 2001 has lighting, 2002 has an empty indicator: Sim wins
+  assert.equal(res.servicos_proximos.iluminacao.disponivel, "Sim");
+  assert.equal(res.raio_m, 150);
+});
+
+test("zone and point layers are attached to the lookup", () => {
+  const res = lookupPoint(trechoData, at(611050, 7797050));
+  assert.deepEqual(res.zonas.regional, [{ id: "1", nome: "CENTRO-SUL" }]);
+  assert.equal(res.pontos_proximos.saude[0].nome, "CS TESTE");
+  assert.equal(res.pontos_proximos.saude[0].distancia_m, 31.62);
+});
+
+test("resolvePointParams validates and projects coordinates", () => {
+  const { x, y } = resolvePointParams({ lat: "-19.920100", lon: "-43.938971" });
+  assert.ok(Math.abs(x - 611050) < 1 && Math.abs(y - 7797010) < 1, `${x} ${y}`);
+  for (const params of [{ lat: "abc", lon: "-43.9" }, { lat: "-91", lon: "-43.9" }, { lat: "-19.9" }, { x: "611000" }, {}]) {
+    assert.throws(() => resolvePointParams(params), { status: 400, code: "COORDENADAS_INVALIDAS" }, JSON.stringify(params));
+  }
+});
+
+test("sanitizeCep keeps exactly eight digits", () => {
+  assert.equal(sanitizeCep("30140-071"), "30140071");
+  assert.equal(sanitizeCep(" 30.140-071 "), "30140071");
+  assert.equal(sanitizeCep("3014007"), null);
+  assert.equal(sanitizeCep(null), null);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mapIndicatorToDisponivel, mapColetaDisponivel, buildServicos } from "../src/servicos.js";
+import { parseDias } from "../src/coleta.js";
+
+test("mapIndicatorToDisponivel maps PBH indicator values", () => {
+  for (const v of ["S", "s", "SIM", "Sim", " S ", "Y", "1", "TRUE", "true"]) assert.equal(mapIndicatorToDisponivel(v), "Sim", v);
+  for (const v of ["N", "n", "NAO", "NÃO", "não", "0", "FALSE"]) assert.equal(mapIndicatorToDisponivel(v), "Não", v);
+  for (const v of ["", "  ", null, undefined]) assert.equal(mapIndicatorToDisponivel(v), "não informado", String(v));
+  for (const v of ["X", "TALVEZ", "2"]) assert.equal(mapIndicatorToDisponivel(v), "não encontrado", v);
+});
+
+test("mapColetaDisponivel: SEM COLETA is Não, any meaningful field is Sim", () => {
+  assert.equal(mapColetaDisponivel("SEM COLETA", "MANHÃ", "CENTRO-SUL", "COOP"), "Não");
+  assert.equal(mapColetaDisponivel("sem coleta", "", "", ""), "Não");
+  assert.equal(mapColetaDisponivel("SEGUNDA E QUINTA", "MANHÃ", "", ""), "Sim");
+  assert.equal(mapColetaDisponivel("", "", "CENTRO-SUL", ""), "Sim");
+  assert.equal(mapColetaDisponivel("", "NÃO SE APLICA", "N/A", "NA"), "não encontrado");
+  assert.equal(mapColetaDisponivel(null, undefined, "", " "), "não encontrado");
+});
+
+test("paving is inferred from a known type when the indicator is empty", () => {
+  assert.equal(buildServicos({ ind_pav: "", tp_pav: "POLIEDRO" }).pavimentacao.disponivel, "Sim");
+  assert.equal(buildServicos({ ind_pav: "", tp_pav: "" }).pavimentacao.disponivel, "não informado");
+  // an explicit indicator wins over the type
+  assert.equal(buildServicos({ ind_pav: "N", tp_pav: "ASFALTO" }).pavimentacao.disponivel, "Não");
+  // an unrecognised indicator with a type is still paved
+  assert.equal(buildServicos({ ind_pav: "?", tp_pav: "ASFALTO" }).pavimentacao.disponivel, "Sim");
+  assert.equal(buildServicos({ ind_pav: "S" }).pavimentacao.tipo, "não informado");
+});
+
+test("buildServicos without a matched trecho answers não encontrado everywhere", () => {
+  for (const [key, servico] of Object.entries(buildServicos(null))) {
+    assert.equal(servico.disponivel, "não encontrado", key);
+  }
+  assert.equal(buildServicos(null).coleta_seletiva.agenda, null);
+});
+
+test("coleta_seletiva carries the parsed schedule only when available", () => {
+  const item = { programacao: "SEGUNDA E QUINTA", turno: "MANHÃ", nome_distrito: "CENTRO-SUL", cooperativa_responsavel: "COOP A" };
+  // 2025-02-04 is a Tuesday: the next pickup is Thursday
+  const { coleta_seletiva } = buildServicos(item, { dataReferencia: "2025-02-04" });
+  assert.equal(coleta_seletiva.disponivel, "Sim");
+  assert.deepEqual(coleta_seletiva.agenda, {
+    dias_semana: ["segunda", "quinta"],
+    turno: "manhã",
+    proxima_coleta: "2025-02-06",
+    data_referencia: "2025-02-04",
+  });
+  assert.equal(buildServicos({ ...item, programacao: "SEM COLETA" }).coleta_seletiva.agenda, null);
+});
+
+test("parseDias reads whole weekday words only", () => {
+  assert.deepEqual(parseDias("SEG A SEX"), [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseDias("SEG-FEIRA, QUA-FEIRA"), [1, 3]);
+  assert.deepEqual(parseDias("TERÇA-FEIRA"), [2]);
+  assert.deepEqual(parseDias("ÀS SEGUNDAS E SEXTAS"), [1, 5]);
+  assert.deepEqual(parseDias("SEX A SEG"), [1, 5, 6, 0]);
+  // words that merely start like a weekday
+  assert.deepEqual(parseDias("QUINZENAL"), []);
+  assert.deepEqual(parseDias("TERMINAL"), []);
+  assert.deepEqual(parseDias("COLETA DOMICILIAR QUINZENAL - QUARTA"), [3]);
+});
+
+test("a false weekday does not move the next pickup", () => {
+  // 2025-02-04 is a Tuesday; QUINZENAL must not be read as Thursday
+  const { coleta_seletiva } = buildServicos({ programacao: "QUINZENAL, SEXTA", turno: "TARDE" }, { dataReferencia: "2025-02-04" });
+  assert.deepEqual(coleta_seletiva.agenda.dias_semana, ["sexta"]);
+  assert.equal(coleta_seletiva.agenda.proxima_coleta, "2025-02-07");
+});
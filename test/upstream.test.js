@@ -0,0 +1,109 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import { createUpstreamClient } from "../src/upstream.js";
+
+// Each path of this server answers with a fixed behaviour; hits counts requests per path
+let server;
+let base;
+const hits = {};
+const replies = {
+  "/ok": (res) => res.end(JSON.stringify({ ok: true })),
+  "/500": (res) => { res.statusCode = 500; res.end("{}"); },
+  "/404": (res) => { res.statusCode = 404; res.end("{}"); },
+  "/lento": (res) => setTimeout(() => res.end("{}"), 500),
+  "/invalido": (res) => res.end("<html>"),
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    replies[req.url](res);
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const client = (options = {}) => createUpstreamClient({ name: "teste", timeoutMs: 200, retries: 2, backoffMs: 1, ...options });
+const reset = () => { for (const k of Object.keys(hits)) delete hits[k]; };
+
+test("5xx is retried, then fails with UPSTREAM_INDISPONIVEL", async () => {
+  reset();
+  const motivos = [];
+  await assert.rejects(client({ onFailure: (_, motivo) => motivos.push(motivo) }).getJson(`${base}/500`), {
+    status: 502,
+    code: "UPSTREAM_INDISPONIVEL",
+    motivo: "http",
+  });
+  assert.equal(hits["/500"], 3);
+  assert.deepEqual(motivos, ["http", "http", "http"]);
+});
+
+test("4xx and invalid JSON are not retried", async () => {
+  reset();
+  await assert.rejects(client().getJson(`${base}/404`), { motivo: "http", retryable: false });
+  await assert.rejects(client().getJson(`${base}/invalido`), { motivo: "resposta_invalida" });
+  assert.equal(hits["/404"], 1);
+  assert.equal(hits["/invalido"], 1);
+});
+
+test("a slow upstream times out", async () => {
+  reset();
+  await assert.rejects(client({ retries: 0 }).getJson(`${base}/lento`), { motivo: "timeout" });
+});
+
+test("a refused connection is a network failure", async () => {
+  const closed = http.createServer();
+  closed.listen(0, "127.0.0.1");
+  await once(closed, "listening");
+  const { port } = closed.address();
+  closed.close();
+  await assert.rejects(client({ retries: 0 }).getJson(`http://127.0.0.1:${port}/`), { motivo: "rede" });
+});
+
+test("the breaker opens after consecutive failures and lets one trial through after the cooldown", async () => {
+  reset();
+  const upstream = client({ retries: 0, breakerThreshold: 2, breakerCooldownMs: 50 });
+  await assert.rejects(upstream.getJson(`${base}/500`));
+  assert.deepEqual(upstream.circuito(), { estado: "fechado", falhas_seguidas: 1 });
+  await assert.rejects(upstream.getJson(`${base}/500`));
+  assert.equal(upstream.circuito().estado, "aberto");
+
+  // open: fails without calling the upstream
+  await assert.rejects(upstream.getJson(`${base}/ok`), { motivo: "circuito_aberto" });
+  assert.equal(hits["/ok"], undefined);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(upstream.circuito().estado, "semiaberto");
+  // a failed trial opens it again at once
+  await assert.rejects(upstream.getJson(`${base}/500`), { motivo: "http" });
+  assert.equal(upstream.circuito().estado, "aberto");
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepEqual(await upstream.getJson(`${base}/ok`), { ok: true });
+  assert.deepEqual(upstream.circuito(), { estado: "fechado", falhas_seguidas: 0 });
+});
+
+test("a success resets the failure count", async () => {
+  const upstream = client({ retries: 0, breakerThreshold: 2 });
+  await assert.rejects(upstream.getJson(`${base}/500`));
+  await upstream.getJson(`${base}/ok`);
+  await assert.rejects(upstream.getJson(`${base}/500`));
+  assert.equal(upstream.circuito().estado, "fechado");
+});
+
+test("4xx and invalid answers do not open the breaker", async () => {
+  const upstream = client({ retries: 0, breakerThreshold: 2 });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(upstream.getJson(`${base}/404`), { motivo: "http" });
+    await assert.rejects(upstream.getJson(`${base}/invalido`), { motivo: "resposta_invalida" });
+  }
+  assert.deepEqual(upstream.circuito(), { estado: "fechado", falhas_seguidas: 0 });
+});